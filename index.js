@@ -13,6 +13,9 @@ module.exports = {
   Query: require('./lib/PerseestQuery'),
   Hooks: require('./lib/PerseestHooks'),
   Config: require('./lib/PerseestConfig'),
+  Transaction: require('./lib/PerseestTransaction'),
   Parameters: require('./lib/QueryParameters'),
+  errors: require('./lib/errors'),
+  Condition: require('./lib/QueryCondition'),
   aux: require('./lib/helpers')
 }
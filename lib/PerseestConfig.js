@@ -12,38 +12,169 @@
 const validate = require('validate.js')
 const { Pool } = require('pg')
 const Query = require('./PerseestQuery')
+const Hooks = require('./PerseestHooks')
+const Transaction = require('./PerseestTransaction')
+const errors = require('./errors')
 const help = require('./helpers')
 
 class PerseestConfig {
   /** Persistency configuration object
    * @param {string} table - Table name for the persistent entities
-   * @param {string} primaryKey - Name of the parameter used as primary key
-   * @param {object} opt - Optional parameters
-   * @param {Iterable<String|Array>|Object} opt.columns - Additional columns,
+   * @param {string|Array<String>} primaryKey - Name of the parameter used as
+   *   primary key, or names of the columns composing it
+   * @param {Iterable<String|Array>|Object} columns - Additional columns,
    *   specified as an iterable collection or as an enumerable object
+   * @param {object} opt - Optional parameters
+   * @param {Function} opt.row2Entity - Entity factory, taking a row (with
+   *   parsed column values) and the persistent class as arguments
+   * @param {Function} opt.clock - Function returning the current time, used
+   *   for timestamp columns (database now() is used if not given)
+   * @param {Function} opt.pgError2Error - Error mapper, taking an error
+   *   raised while performing a query and the query parameters, and returning
+   *   the error to throw (errors.fromPgError by default)
+   * @param {object} opt.validate - Constraints for the columns, in the form
+   *   { column: constraints }, merged with the 'validate' column attributes
+   *   (see validate)
+   * @param {string} opt.softDelete - Column holding the deletion timestamp. If
+   *   given, deleted rows are marked instead of being removed, and they are
+   *   excluded from fetching queries by default
    * @throws Table must be a non-blank string
-   * @throws PrimaryKey must be a non-blank string
+   * @throws PrimaryKey must be a non-blank string or a non-empty array of
+   *   distinct ones
    * @throws Columns must be an iterable collection
+   * @throws At most one column, not being the primary key, can be marked as
+   *   version
+   * @throws Entity factory must be a function if given
+   * @throws Soft delete column must be a non-blank string if given
+   * @throws Clock and error mapper must be functions if given
+   * @throws Constraints must refer to present columns
    */
-  constructor (table, primaryKey, columns) {
+  constructor (table, primaryKey, columns, opt = {}) {
     if (!validate.isString(table) || table === '') { throw new TypeError('table must be a non-blank string') }
-    if (!validate.isString(primaryKey) || primaryKey === '') { throw new TypeError('primaryKey must be a non-blank string') }
+    const keys = validate.isArray(primaryKey) ? primaryKey : [primaryKey]
+    if (!keys.length || keys.some(k => !validate.isString(k) || k === '') ||
+      new Set(keys).size !== keys.length) { throw new TypeError('primaryKey must be a non-blank string or a non-empty array of distinct ones') }
+    if (opt.row2Entity && !validate.isFunction(opt.row2Entity)) { throw new TypeError('row2Entity must be a function if given') }
+    if (opt.clock && !validate.isFunction(opt.clock)) { throw new TypeError('clock must be a function if given') }
+    if (opt.pgError2Error && !validate.isFunction(opt.pgError2Error)) { throw new TypeError('pgError2Error must be a function if given') }
+    if (opt.softDelete !== undefined && opt.softDelete !== null &&
+      (!validate.isString(opt.softDelete) || opt.softDelete === '')) { throw new TypeError('softDelete must be a non-blank string if given') }
 
     this.table = table
-    this.primaryKey = primaryKey
+    this.primaryKey = keys.length === 1 ? keys[0] : [...keys]
 
-    // Fill column map, adding primary key if not present already
+    // Fill column map, adding primary key if not present already. Columns of
+    // a composite key do not identify an entity by themselves
     this.columns = new this.constructor.ColumnMap(columns);
-    const pk = this.columns.get(primaryKey) || {}
-    this.columns.set(primaryKey, Object.assign(pk, { id: true }))
+    for (const k of keys) {
+      const pk = this.columns.get(k) || {}
+      this.columns.set(k, keys.length === 1 ? Object.assign(pk, { id: true }) : pk)
+    }
+    this.clock = opt.clock || null
+
+    // Validation constraints given apart from the columns
+    this.constraints = opt.validate || {}
+    for (const [col, c] of Object.entries(this.constraints)) {
+      if (!this.columns.has(col)) { throw new Error(`Cannot validate ${col}: not present in the database table`) }
+      if (!isConstraint(c)) { throw new TypeError('Constraints must be given as objects or functions') }
+    }
+
+    // Soft delete column, added as a date column if not present already
+    this.softDelete = opt.softDelete || null
+    if (this.softDelete && !this.columns.has(this.softDelete)) { this.columns.set(this.softDelete, { type: 'date' }) }
+
+    const versions = this.columns.withAttribute('version')
+    if (versions.length > 1) { throw new Error('At most one column can be marked as version') }
+    if (keys.includes(versions[0])) { throw new Error('Primary key cannot be marked as version') }
 
     // Default queries
     this.queries = Query.default()
 
-    // TODO: Improve, Accept other than defaults
-    this.row2Entity = row => row
-    this.pgError2Error = res => res
-    // new Error(`${res.detail} (returned code ${res.code})`)
+    // By default, build instances of the persistent class if possible
+    this.row2Entity = opt.row2Entity || ((row, Class) =>
+      Class && validate.isFunction(Class.fromRow) ? Class.fromRow(row) : row)
+
+    // Map database errors to perseest ones
+    this.pgError2Error = opt.pgError2Error || errors.fromPgError
+  }
+
+  /** Name of the column marked as version (see optimistic locking), or null
+   * if there is none */
+  get versionColumn () {
+    return this.columns.withAttribute('version')[0] || null
+  }
+
+  /** Names of the primary key columns, as an array even if the primary key
+   * is made of a single column */
+  get primaryKeys () {
+    return [].concat(this.primaryKey)
+  }
+
+  /** Are some columns the primary key (in any order)?
+   * @param {string|Iterable<String>} columns - Column names
+   * @returns {boolean}
+   */
+  isPrimaryKey (columns) {
+    const cols = columnList(columns)
+    const keys = this.primaryKeys
+    return cols.length === keys.length && keys.every(k => cols.includes(k))
+  }
+
+  /** Can some columns be used to identify a single entity, i.e. are they the
+   * primary key or columns marked as 'id'?
+   * @param {string|Iterable<String>} columns - Column names
+   * @returns {boolean}
+   */
+  isIdentifier (columns) {
+    const cols = columnList(columns)
+    return cols.length > 0 && (this.isPrimaryKey(cols) ||
+      cols.every(c => this.columns.attribute(c, 'id')))
+  }
+
+  /** Validate the columns of an entity against their constraints, given as
+   * 'validate' column attributes or with the 'validate' option. Constraints
+   * are either validate.js constraints (e.g. { presence: true }) or functions
+   * taking the column value, the entity and the column name and returning
+   * one or more error messages (nothing if the value is valid)
+   * @param {*} ent - Entity to validate
+   * @param {Iterable<String>} columns - Columns to validate (all by default)
+   * @example
+   * new Perseest.Config('UserAccount', 'id', {
+   *   name: { validate: { presence: true, length: { maximum: 50 } } },
+   *   email: { validate: { email: true } },
+   *   age: { validate: age => age < 18 ? 'Age must be at least 18' : null }
+   * })
+   * @returns {object|null} The error messages for each invalid column, in the
+   *   form { column: [messages] }, or null if the entity is valid
+   */
+  validate (ent, columns = this.columns.keys()) {
+    const errors = {}
+    const constraints = {}
+    for (const col of columns) {
+      const props = this.columns.get(col)
+      for (const c of [props && props.validate, this.constraints[col]]) {
+        if (!c) continue
+        if (!validate.isFunction(c)) {
+          constraints[col] = Object.assign(constraints[col] || {}, c)
+          continue
+        }
+        const msgs = c(ent[col], ent, col)
+        if (msgs) errors[col] = (errors[col] || []).concat(msgs)
+      }
+    }
+    const res = validate(ent, constraints) || {}
+    for (const [col, msgs] of Object.entries(res)) { errors[col] = msgs.concat(errors[col] || []) }
+    return Object.keys(errors).length ? errors : null
+  }
+
+  /** Transform a database row in an entity, parsing the column values (see
+   * ColumnMap.parse) and passing them to row2Entity
+   * @param {object} row - Row returned by node-postgres
+   * @param {Class} Class - Persistent class of the entity, if known
+   * @returns {*} The entity
+   */
+  hydrate (row, Class) {
+    return this.row2Entity(this.columns.parseRow(row), Class)
   }
 
   /** Setup for database connections
@@ -67,11 +198,33 @@ class PerseestConfig {
     }
   }
 
+  /** Run a function in a transaction on the configuration pool. Every
+   * perseest query performed inside it on the same pool (hooks and other
+   * classes sharing the pool included) is part of the transaction
+   * @param {Function} fn - Function to run, eventually async, taking the
+   *   transaction as argument
+   * @throws Database must be set up
+   * @throws Function must run successfully (otherwise it is rolled back)
+   * @throws Database must raise no errors (mapped with pgError2Error, commit
+   *   included)
+   * @example
+   * await User.db.transaction(async tx => {
+   *   await alice.save()
+   *   await bob.update()
+   *   await tx.query('UPDATE Stats SET users = users + 1')
+   * })
+   * @returns {*} The value returned by the function
+   */
+  async transaction (fn) {
+    return await Transaction.run(this.pool, fn,
+      err => this.pgError2Error(err, { conf: this, query: 'transaction' }))
+  }
+
   /** Add a hook - Order is guaranteed across different calls
-   * @param {string} when - 'before' or 'after' hook
+   * @param {string} when - 'before', 'after', 'around' or 'error' hook
    * @param {string} trigger - Hook trigger must be a valid query name
    * @param {function} hook - The hook function itself
-   * @throws 'when' must be falsy or a string within 'before' and 'after'
+   * @throws 'when' must be a string within the temporal triggers
    * @throws Trigger must be the name of an existent query
    * @throws Hook must be a function
    * @example
@@ -81,13 +234,15 @@ class PerseestConfig {
    *   if (!user.isValid())
    *     throw new Error(`User ${user.name} is not valid`)
    * });
+   * @example
+   * Class.db.addHook('error', 'fetch', (params, err) => log(err));
    * @returns undefined
    */
   addHook (when, trigger, hook) {
-    // Trigger can be 'before' or 'after'
-    if (!['before', 'after'].includes(when)) {
-      throw new TypeError(
-        '\'when\' must be falsy or a string within [\'before\',\'after\']')
+    // Trigger can be 'before', 'after', 'around' or 'error'
+    if (!Hooks.MOMENTS.includes(when)) {
+      throw new TypeError('\'when\' must be a string within ' +
+        '[\'before\',\'after\',\'around\',\'error\']')
     }
 
     // Trigger must be identified by a string
@@ -107,7 +262,7 @@ class PerseestConfig {
   /** Flush the hooks
    * @param {string} when - Temporal trigger
    * @param {string} trigger - Hook trigger
-   * @throws 'when' must be falsy or a string within 'before' and 'after'
+   * @throws 'when' must be falsy or a string within the temporal triggers
    * @throws Trigger must be the name of an existent query
    * @example Mocky.db.flushHooks()  // Flush all the hooks
    * @example Mocky.db.flushHooks('before')  // Flush all the before-hooks
@@ -115,13 +270,15 @@ class PerseestConfig {
    * // Flush all the after-hooks triggered by doh
    * SomeClass.db.flushHooks('after', 'doh')
    * @example
-   * // Flush all the before-hooks and after-hooks triggered by doh
+   * // Flush all the hooks triggered by doh
    * SomeClass.db.flushHooks(null, 'doh')
    * @returns undefined
    */
   flushHooks (when = null, trigger = null) {
-    if (when && (!validate.isString(when) ||
-      !['before', 'after'].includes(when))) { throw new TypeError('\'when\' can only be \'before\' or \'after\'') }
+    if (when && (!validate.isString(when) || !Hooks.MOMENTS.includes(when))) {
+      throw new TypeError('\'when\' can only be \'before\', \'after\', ' +
+        '\'around\' or \'error\'')
+    }
     // Trigger must be identified by a string
     if (trigger && !validate.isString(trigger)) { throw new TypeError('Hook trigger must be specified as a string') }
 
@@ -166,9 +323,108 @@ class PerseestConfig {
     set(name, props = {}) {
       if (!name || !validate.isString(name))
         throw new TypeError('Name must be a non-blank string')
+      if (props) {
+        if (props.type && !this.constructor.types.has(props.type))
+          throw new Error(`Column type ${props.type} is not defined`)
+        for (const fn of ['serialize', 'parse'])
+          if (props[fn] && !validate.isFunction(props[fn]))
+            throw new TypeError(`Column ${fn} attribute must be a function`)
+        if (props.validate && !isConstraint(props.validate))
+          throw new TypeError('Column validate attribute must be an object or a function')
+      }
       super.set(name, props)
     }
 
+    /** Get the names of the columns having an attribute set
+     * @param {string} attr - Attribute name
+     * @returns {Array<String>} Names of the columns having 'attr' truthy
+     */
+    withAttribute(attr) {
+      return [...this.keys()].filter(col => this.attribute(col, attr))
+    }
+
+    /** Transform a column value in its database representation, according to
+     * the column 'serialize' or 'type' attributes
+     * @param {string} col - Column name
+     * @param {*} value - Value to serialize
+     * @returns {*} The serialized value, or the value itself if the column has
+     *   no type nor serializer (or is not present)
+     */
+    serialize(col, value) {
+      return this.transformer(col, 'serialize')(value)
+    }
+
+    /** Transform a value fetched from the database in its JavaScript
+     * representation, according to the column 'parse' or 'type' attributes
+     * @param {string} col - Column name
+     * @param {*} value - Value to parse
+     * @returns {*} The parsed value, or the value itself if the column has no
+     *   type nor parser (or is not present)
+     */
+    parse(col, value) {
+      return this.transformer(col, 'parse')(value)
+    }
+
+    /** Parse the values of a database row (see parse). Fields not being
+     * present columns are left as they are
+     * @param {object} row - Row returned by node-postgres
+     * @returns {object} A new object with the parsed values
+     */
+    parseRow(row) {
+      const ret = {}
+      for (const k in row) ret[k] = this.parse(k, row[k])
+      return ret
+    }
+
+    /** Get the function transforming the values of a column
+     * @param {string} col - Column name
+     * @param {string} fn - Either 'serialize' or 'parse'
+     * @returns {Function} The transformer (identity by default)
+     */
+    transformer(col, fn) {
+      const c = this.get(col)
+      if (!c) return identity
+      if (c[fn]) return c[fn]
+      return c.type ? this.constructor.types.get(c.type)[fn] : identity
+    }
+
+    /** Column types, in the form name => { serialize, parse }. Types can be
+     * added, e.g. ColumnMap.types.set('point', { serialize, parse }).
+     * null and undefined values are never transformed by default types
+     */
+    static types = new Map([
+      ['date', {
+        serialize: v => v === null || v === undefined || v instanceof Date ||
+          validate.isString(v) ? v : new Date(v),
+        parse: v => v === null || v === undefined || v instanceof Date
+          ? v : new Date(v)
+      }],
+      ['bigint', {
+        serialize: v => v === null || v === undefined ? v : String(v),
+        parse: v => v === null || v === undefined ? v : BigInt(v)
+      }],
+      ['numeric', {
+        serialize: v => v === null || v === undefined ? v : String(v),
+        parse: v => v === null || v === undefined ? v : Number(v)
+      }],
+      ['json', { // node-postgres parses json and jsonb columns by itself
+        serialize: v => v === null || v === undefined ? v : JSON.stringify(v),
+        parse: identity
+      }],
+      ['boolean', {
+        serialize: v => parseBoolean(v),
+        parse: v => parseBoolean(v)
+      }],
+      ['uuid', {
+        serialize: v => {
+          if (v === null || v === undefined) return v
+          if (!UUID_REGEX.test(v)) throw new TypeError(`${v} is not a valid UUID`)
+          return String(v).toLowerCase()
+        },
+        parse: v => v === null || v === undefined ? v : String(v).toLowerCase()
+      }]
+    ]);
+
     /** Get a single attribute of a column
      * @param {string} column - Column name
      * @param {string} attr - Attribute name
@@ -184,4 +440,39 @@ class PerseestConfig {
   }
 }
 
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/** Identity function, i.e. the default value transformer */
+function identity (v) { return v }
+
+/** Parse a boolean, as represented by postgres or in a common way
+ * @param {*} v - Value to parse
+ * @returns {boolean|null|undefined} The parsed boolean, with null and
+ *   undefined being left as they are
+ */
+function parseBoolean (v) {
+  if (v === null || v === undefined) return v
+  if (validate.isString(v)) { return ['t', 'true', 'y', 'yes', 'on', '1'].includes(v.trim().toLowerCase()) }
+  return Boolean(v)
+}
+
+/** Is something a column constraint, i.e. a validate.js constraints object
+ * or a validation function?
+ * @param {*} c - Object to inspect
+ * @returns {boolean}
+ */
+function isConstraint (c) {
+  return validate.isFunction(c) || (validate.isObject(c) && !validate.isArray(c))
+}
+
+/** Get some column names as an array
+ * @param {string|Iterable<String>} columns - Column name(s)
+ * @returns {Array<String>} The column names, or an empty array if they are
+ *   neither a string nor an iterable collection
+ */
+function columnList (columns) {
+  if (validate.isString(columns)) return [columns]
+  return help.isIterable(columns) ? [...columns] : []
+}
+
 module.exports = PerseestConfig
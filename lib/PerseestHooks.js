@@ -15,12 +15,15 @@ class PerseestHooks {
   constructor () {
     this.before = []
     this.after = []
+    this.around = []
+    this.error = []
   }
 
   /** Add a hook - Order is guaranteed across different calls
-   * @param {string} when - Temporal trigger, can be falsy, 'before' or 'after'
+   * @param {string} when - Temporal trigger, can be falsy (i.e. both 'before'
+   *   and 'after'), 'before', 'after', 'around' or 'error'
    * @param {function} hook - The hook function itself
-   * @throws 'when' must be falsy or a string within 'before' and 'after'
+   * @throws 'when' must be falsy or a string within the temporal triggers
    * @throws Hook must be a function
    * @returns undefined
    */
@@ -30,9 +33,9 @@ class PerseestHooks {
       when = null
     }
 
-    if (when && !['before', 'after'].includes(when)) {
-      throw new TypeError(
-        '\'when\' must be falsy or a string within [\'before\',\'after\']')
+    if (when && !this.constructor.MOMENTS.includes(when)) {
+      throw new TypeError('\'when\' must be falsy or a string within ' +
+        '[\'before\',\'after\',\'around\',\'error\']')
     }
     if (!validate.isFunction(hook)) { throw new TypeError('Hook must be a function') }
 
@@ -66,6 +69,48 @@ class PerseestHooks {
     } catch (err) { throw err }
   }
 
+  /** Run a function wrapped by the around-hooks, middleware-style. Each hook
+   * is called as hook(params, next), where next() runs the rest of the chain
+   * (i.e. the following hooks and then the function) and returns its result.
+   * A hook can alter the result, call next() more than once (e.g. to retry)
+   * or not at all (e.g. to serve a cached value)
+   * @param {QueryParameters} params - Parameters to pass to the hooks
+   * @param {Function} fn - Function to wrap, eventually async
+   * @throws Hooks and function must run successfully
+   * @returns {*} The value returned by the outermost hook
+   * @example
+   * hooks.add('around', async (params, next) => {
+   *   const start = Date.now()
+   *   try { return await next() } finally { log(Date.now() - start) }
+   * })
+   */
+  async wrap (params, fn) {
+    const chain = this.around.slice()
+    const step = async i => i < chain.length
+      ? await chain[i](params, () => step(i + 1))
+      : await fn()
+    return await step(0)
+  }
+
+  /** Run the error-hooks in order, each one called as hook(params, err).
+   * A hook returning anything but undefined recovers from the error, and its
+   * value is returned without running the following hooks. A hook throwing
+   * replaces the error for the following ones
+   * @param {QueryParameters} params - Parameters to pass to the hooks
+   * @param {Error} err - The thrown error
+   * @throws The last thrown error, if no hook recovered from it
+   * @returns {*} The value the error was recovered with
+   */
+  async recover (params, err) {
+    for (const h of this.error.slice()) {
+      try {
+        const ret = await h(params, err)
+        if (ret !== undefined) return ret
+      } catch (e) { err = e }
+    }
+    throw err
+  }
+
   /** Flush the hooks
    * @param {string} when - Temporal trigger
    * @example hooks.flush()  // Flush all the hooks
@@ -74,9 +119,15 @@ class PerseestHooks {
    */
   flush (when = null) {
     if (when && (!validate.isString(when) ||
-      !['before', 'after'].includes(when))) { throw new TypeError('\'when\' can only be \'before\' or \'after\'') }
-    for (const t of when ? [when] : ['before', 'after']) { this[t] = [] }
+      !this.constructor.MOMENTS.includes(when))) {
+      throw new TypeError('\'when\' can only be \'before\', \'after\', ' +
+        '\'around\' or \'error\'')
+    }
+    for (const t of when ? [when] : this.constructor.MOMENTS) { this[t] = [] }
   }
+
+  /** Temporal triggers a hook can be bound to */
+  static MOMENTS = ['before', 'after', 'around', 'error']
 }
 
 module.exports = PerseestHooks
@@ -10,14 +10,18 @@
 'use strict'
 const validate = require('validate.js')
 const Hooks = require('./PerseestHooks')
+const Condition = require('./QueryCondition')
+const { StaleEntityError, HookError } = require('./errors')
 const help = require('./helpers')
+const quote = help.quoteIdentifier
 
 // TODO: Allow passing hooks
 class PerseestQuery {
   /** Query performed by perseest
    * @param {string} name - Query name
    * @param {Function} generate - Query generator, must return an object in the
-   *   form { text: '<query sql text>', values: [...] }
+   *   form { text: '<query sql text>', values: [...] }, or an array of such
+   *   objects to be performed in order in a single transaction
    * @param {Function} transform - Postgres result transformer, i.e. transform
    *   a database response in a return value. If falsy, perseest will attempt
    *   to transform the result in entities (with conf.row2Entity)
@@ -43,28 +47,92 @@ class PerseestQuery {
     this.hooks = new Hooks()
   }
 
-  /** Run the query
+  /** Run the query. The execution (i.e. generating, performing and
+   * transforming) is wrapped by the around-hooks, and any error thrown on the
+   * way is passed to the error-hooks, which can recover from it
    * @param {QueryParameters} params - Parameters passed to the query
-   * @throws Database must raise no errors
-   * @throws Hooks must run successfully
+   * @throws Database must raise no errors (mapped with conf.pgError2Error)
+   * @throws Hooks must run successfully (errors are wrapped in HookError)
    * @returns {*} Some result defined by the query transformer
    */
   async run (params) {
     params.query = this
     const transform = this.transform ||
-      (({ res }) => params.conf.row2Entity(res.rows[0]))
+      (({ res, entityClass }) => params.conf.hydrate(res.rows[0], entityClass))
+
+    // Errors raised by the execution itself pass through around-hooks as-is
+    const failures = new Set()
+    const execute = async () => {
+      try {
+        const statements = this.generate(params)
+        try {
+          params.res = await this.perform(params, statements)
+        } catch (err) {
+          throw params.conf.pgError2Error(err, params)
+        }
+        return transform(params)
+      } catch (err) {
+        failures.add(err)
+        throw err
+      }
+    }
+
     try {
-      await this.hooks.run('before', params)
-      //console.log(this.generate(params))
-      params.res = await params.conf.pool.query(this.generate(params))
-      params.ret = transform(params)
-      await this.hooks.run('after', params)
+      await this.runHooks('before', params)
+      try {
+        params.ret = await this.hooks.wrap(params, execute)
+      } catch (err) {
+        throw failures.has(err) ? err : new HookError(this.name, 'around', err)
+      }
+      await this.runHooks('after', params)
       return params.ret
     } catch (err) {
-      throw params.conf.pgError2Error(err) // TODO: Handle non-pg errors
+      if (!this.hooks.error.length) throw err
+      params.error = err
+      return (params.ret = await this.hooks.recover(params, err))
+    }
+  }
+
+  /** Run the hooks, wrapping their errors
+   * @param {string} when - Temporal trigger, i.e. 'before' or 'after'
+   * @param {QueryParameters} params - Parameters passed to the query
+   * @throws Hooks must run successfully
+   * @returns undefined
+   */
+  async runHooks (when, params) {
+    try {
+      await this.hooks.run(when, params)
+    } catch (err) {
+      throw new HookError(this.name, when, err)
     }
   }
 
+  /** Perform the generated statements. Multiple statements are performed in
+   * a transaction (nested in the active one, if any), and their responses
+   * are merged in a single one
+   * @param {QueryParameters} params - Parameters passed to the query
+   * @param {object|Array<Object>} statements - Generated statement(s)
+   * @throws Database must raise no errors
+   * @returns {object} The node-postgres response, with the rows of every
+   *   statement and the sum of the row counts if merged
+   */
+  async perform (params, statements) {
+    if (!validate.isArray(statements))
+      return await (params.client || params.conf.pool).query(statements)
+    if (statements.length === 1)
+      return await (params.client || params.conf.pool).query(statements[0])
+
+    return await params.conf.transaction(async tx => {
+      const res = { rows: [], rowCount: 0 }
+      for (const statement of statements) {
+        const r = await tx.query(statement)
+        if (r.rows) res.rows.push(...r.rows)
+        res.rowCount += r.rowCount || 0
+      }
+      return res
+    })
+  }
+
   /** Map data structure for queries
    * @class
    * @param {Iterable<PerseestQuery>} queries - Iterable collection of
@@ -162,78 +230,677 @@ class PerseestQuery {
     const queries = new this.Map();
     queries.add(new PerseestQuery({
       name: 'save',
-      type: 'boolean',
-      generate: ({ conf, ent, columns }) => {
-        const [cols, vals] = help.entityCV(ent, columns)
+      type: 'refresh',
+      generate: ({ conf, columns, values }) => {
+        const stamped = timestampColumns(conf, 'createdAt', 'updatedAt')
+        const cols = []
+        const vals = []
+        const exprs = []
+        columns.forEach((c, idx) => {
+          if (stamped.includes(c)) return
+          cols.push(c)
+          exprs.push(`$${vals.push(values[idx])}`)
+        })
+        if (stamped.length) {
+          const time = currentTime(conf, vals)
+          for (const c of stamped) {
+            cols.push(c)
+            exprs.push(time)
+          }
+        }
         return {
-          text: `INSERT INTO ${conf.table} (${cols.join(', ')}) VALUES (${help.placeholders(cols.length)})`,
+          text: `INSERT INTO ${quote(conf.table)}` +
+            (cols.length
+              ? ` (${cols.map(quote).join(', ')}) VALUES (${exprs.join(', ')})`
+              : ' DEFAULT VALUES') +
+            ` RETURNING ${[...conf.columns.keys()].map(quote).join(', ')}`,
           values: vals
         }
       }
     }));
+    queries.add(new PerseestQuery({
+      name: 'saveMany',
+      type: 'refreshMany',
+      generate: params => insertMany(params)
+    }));
+    queries.add(new PerseestQuery({
+      name: 'upsert',
+      type: 'refresh',
+      generate: params => insertMany(params, [params.ent], onConflict(params))
+    }));
+    queries.add(new PerseestQuery({
+      name: 'upsertMany',
+      // Rows are returned grouped by shape, write them back in the same order
+      transform: params => PerseestQuery.types.get('refreshMany')({
+        res: params.res,
+        conf: params.conf,
+        entities: shapes(params).flatMap(({ entities }) => entities)
+      }),
+      generate: params => shapes(params).flatMap(({ columns, entities }) => {
+        const shaped = {
+          conf: params.conf,
+          conflict: params.conflict,
+          overwrite: params.overwrite,
+          columns
+        }
+        return insertMany(shaped, entities, onConflict(shaped))
+      })
+    }));
     queries.add(new PerseestQuery({
       name: 'fetch',
       type: 'singular',
-      generate: ({ conf, key, kval }) => ({
-        text: `SELECT * FROM ${conf.table} WHERE ${key} = $1`,
-        values: [kval]
-      }),
+      generate: params => fetchStatement(params)
+    }));
+    queries.add(new PerseestQuery({
+      name: 'reload',
+      type: 'refresh',
+      generate: params => fetchStatement(params)
     }));
     queries.add(new PerseestQuery({
       name: 'update',
-      type: 'boolean',
-      generate: ({ conf, ent, columns }) => ({
-        text: `UPDATE ${conf.table} SET ` +
-          columns.map((c, idx) => `${c} = $${idx + 1}`).join(', ') +
-          ` WHERE ${conf.primaryKey} = $${columns.length + 1};`,
-        values: columns.map(k => ent[k]).concat(ent[conf.primaryKey])
-      })
+      transform: params => staleCheck(params, 'update',
+        PerseestQuery.types.get('refresh')(params)),
+      generate: params => {
+        const { conf, ent, columns, values } = params
+        const version = conf.versionColumn
+        const updated = timestampColumns(conf, 'updatedAt')
+        const fixed = [version].concat(updated, timestampColumns(conf, 'createdAt'))
+        const set = columns.map((c, idx) => [c, values[idx]])
+          .filter(([c]) => !fixed.includes(c))
+        const vals = set.map(([c, v]) => v)
+        const assignments = set.map(([c], idx) => `${quote(c)} = $${idx + 1}`)
+        if (version)
+          assignments.push(`${quote(version)} = COALESCE(${quote(version)}, 0) + 1`)
+        if (updated.length) {
+          const time = currentTime(conf, vals)
+          updated.forEach(c => assignments.push(`${quote(c)} = ${time}`))
+        }
+        if (!assignments.length) { throw new Error('Attempted to call update without any column to set') }
+        const refresh = conf.columns.withAttribute('refresh')
+        for (const c of [version].concat(updated))
+          if (c && !refresh.includes(c)) refresh.push(c)
+        return {
+          text: `UPDATE ${quote(conf.table)} SET ${assignments.join(', ')}` +
+            ` WHERE ${where(keyCondition({ conf, ent }, vals), softDeleteScope(params))}` +
+            versionCondition(params, vals) +
+            (refresh.length ? ` RETURNING ${refresh.map(quote).join(', ')}` : ''),
+          values: vals
+        }
+      }
     }));
     queries.add(new PerseestQuery({
       name: 'delete',
-      type: 'boolean',
-      generate: ({ conf, key, kval }) => ({
-        text: `DELETE FROM ${conf.table} WHERE ${key} = $1`,
-        values: [kval]
-      })
+      transform: params => staleCheck(params, 'delete',
+        PerseestQuery.types.get('refresh')(params)),
+      generate: params => {
+        const { conf } = params
+        const values = []
+        const cond = keyCondition(params, values) + versionCondition(params, values)
+        if (!conf.softDelete) return deleteStatement(params, cond, values)
+        return {
+          text: `UPDATE ${quote(conf.table)} SET ${quote(conf.softDelete)} = ` +
+            currentTime(conf, values) + versionBump(conf) +
+            ` WHERE ${where(cond, softDeleteScope(params))}` +
+            ` RETURNING ${softDeleteReturning(conf)}`,
+          values
+        }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'forceDelete',
+      transform: params => staleCheck(params, 'delete',
+        PerseestQuery.types.get('boolean')(params)),
+      generate: params => {
+        const values = []
+        return deleteStatement(params,
+          keyCondition(params, values) + versionCondition(params, values), values)
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'restore',
+      type: 'refresh',
+      generate: params => {
+        const { conf } = params
+        if (!conf.softDelete) { throw new Error('Soft delete is not enabled') }
+        const values = []
+        return {
+          text: `UPDATE ${quote(conf.table)} SET ${quote(conf.softDelete)} = NULL` +
+            ` WHERE ${keyCondition(params, values)} AND ${quote(conf.softDelete)} IS NOT NULL` +
+            ` RETURNING ${quote(conf.softDelete)}`,
+          values
+        }
+      }
     }));
-    queries.add(new PerseestQuery({ // TODO: Add things like AND, OR ...
+    queries.add(new PerseestQuery({
       name: 'fetchMany',
       type: 'multiple',
-      generate: ({ conf, columns, values }) => ({
-        text: `SELECT * FROM ${conf.table}`.concat(
-          columns.length ? ` WHERE ${columns.map((c,i) =>
-            `${c} = $${i+1}`).join(' AND ')}` : ''),
-        values: values
-      }),
+      generate: params => {
+        const { conf, orderBy, limit, offset } = params
+        const order = help.normalizeOrder(orderBy, conf.columns)
+        const { text: filter, values } = filterClause(params)
+        let text = `SELECT * FROM ${quote(conf.table)}${filter}`
+        if (order.length) { text += ` ORDER BY ${order.map(([c, d]) => `${quote(c)} ${d}`).join(', ')}` }
+        for (const [clause, n] of [['LIMIT', limit], ['OFFSET', offset]]) {
+          if (n === undefined || n === null) continue
+          if (!Number.isInteger(n) || n < 0) { throw new TypeError(`${clause} must be a non-negative integer`) }
+          text += ` ${clause} $${values.push(n)}`
+        }
+        return { text, values }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'count',
+      transform: ({ res }) => numeric(res.rows[0].count, res.fields[0].dataTypeID),
+      generate: params => {
+        const { text, values } = filterClause(params)
+        return {
+          text: `SELECT count(*) AS count FROM ${quote(params.conf.table)}${text}`,
+          values
+        }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'exists',
+      type: 'boolean',
+      generate: params => {
+        const { text, values } = filterClause(params)
+        return {
+          text: `SELECT 1 FROM ${quote(params.conf.table)}${text} LIMIT 1`,
+          values
+        }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'aggregate',
+      transform: params => {
+        const { res, conf } = params
+        const groups = groupColumns(params)
+        const terms = aggregateTerms(params)
+        const rows = res.rows.map(row => {
+          const ret = {}
+          groups.forEach((c, idx) => { ret[c] = conf.columns.parse(c, row[idx]) })
+          terms.forEach(({ fn, column, multiple }, idx) => {
+            const pos = groups.length + idx
+            let value = fn === 'min' || fn === 'max'
+              ? conf.columns.parse(column, row[pos])
+              : row[pos]
+            value = numeric(value, res.fields[pos].dataTypeID)
+            if (multiple) (ret[fn] = ret[fn] || {})[column] = value
+            else ret[fn] = value
+          })
+          return ret
+        })
+        return groups.length ? rows : rows[0]
+      },
+      generate: params => {
+        const { conf } = params
+        const groups = groupColumns(params)
+        const terms = aggregateTerms(params)
+        const { text, values } = filterClause(params)
+        const group = groups.map(quote).join(', ')
+        const select = groups.map(quote).concat(terms.map(({ fn, column }) =>
+          `${fn}(${column === '*' ? '*' : quote(column)})`))
+        return {
+          text: `SELECT ${select.join(', ')} FROM ${quote(conf.table)}${text}` +
+            (groups.length ? ` GROUP BY ${group} ORDER BY ${group}` : ''),
+          values,
+          rowMode: 'array' // Aggregates are identified by position
+        }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'updateMany',
+      transform: params => PerseestQuery.types.get(
+        params.returning ? 'multiple' : 'counter')(params),
+      generate: params => bulkUpdate(params, 'updateMany')
+    }));
+    queries.add(new PerseestQuery({
+      name: 'increment',
+      transform: ({ res, conf, ent }) => { // Like 'refresh', but for the version
+        if (!res.rowCount) return false
+        const row = conf.columns.parseRow(res.rows[0])
+        // Other changes were made concurrently if the version was bumped more
+        // than once, so the entity must keep looking stale
+        const version = conf.versionColumn
+        if (version && Number(row[version]) !== Number(ent[version] || 0) + 1) delete row[version]
+        Object.assign(ent, row)
+        return true
+      },
+      generate: params => {
+        const { conf, ent, changes } = params
+        const values = []
+        const set = assignments(params, values)
+        const returning = Object.keys(changes).concat(
+          conf.columns.withAttribute('refresh'), timestampColumns(conf, 'updatedAt'))
+        if (conf.versionColumn) returning.push(conf.versionColumn)
+        return {
+          text: `UPDATE ${quote(conf.table)} SET ${set.join(', ')}` +
+            ` WHERE ${where(keyCondition({ conf, ent }, values), softDeleteScope(params))}` +
+            ` RETURNING ${[...new Set(returning)].map(quote).join(', ')}`,
+          values
+        }
+      }
+    }));
+    queries.add(new PerseestQuery({
+      name: 'incrementMany',
+      type: 'counter',
+      generate: params => bulkUpdate(params, 'increment')
     }));
     queries.add(new PerseestQuery({
       name: 'deleteMany',
       type: 'counter',
-      generate: ({ conf, columns, values }) => ({
-        text: `DELETE FROM ${conf.table}`.concat(
-          columns.length ? ` WHERE ${columns.map((c,i) =>
-            `${c} = $${i+1}`).join(' AND ')}` : ''),
-        values: values
-      }),
+      generate: params => {
+        const { conf, cond } = params
+        const parsed = new Condition(cond, conf.columns)
+        if (parsed.matchesAll()) { throw new Error('Attempted to call deleteMany without a delete condition') }
+        const condition = parsed.compile()
+        if (!conf.softDelete) return deleteStatement(params, condition.text, condition.values)
+        return {
+          text: `UPDATE ${quote(conf.table)} SET ${quote(conf.softDelete)} = ` +
+            currentTime(conf, condition.values) + versionBump(conf) +
+            ` WHERE ${where(condition.text, softDeleteScope(params))}`,
+          values: condition.values
+        }
+      }
     }));
     return queries;
   }
 
-  /** Query types, filled with default 'singular', 'multiple' and 'boolean' */
+  /** Query types, filled with default 'singular', 'multiple', 'boolean',
+   * 'refresh', 'refreshMany' and 'counter' */
   static types = new this.TypeMap([
-    ['singular', ({ res, conf }) => {
+    ['singular', ({ res, conf, entityClass }) => {
       if (!res.rows.length) return null;
-      return conf.row2Entity(res.rows[0]);
+      return conf.hydrate(res.rows[0], entityClass);
     }],
-    ['multiple', ({ res, conf }) =>
-      res.rows.map(conf.row2Entity) ],
+    ['multiple', ({ res, conf, entityClass }) =>
+      res.rows.map(row => conf.hydrate(row, entityClass)) ],
     ['boolean', ({ res }) => res.rowCount ? true : false],
+    ['refresh', ({ res, conf, ent }) => { // Boolean, writing back returned columns
+      if (res.rows && res.rows.length && ent)
+        Object.assign(ent, conf.columns.parseRow(res.rows[0]));
+      return res.rowCount ? true : false;
+    }],
+    ['refreshMany', ({ res, conf, entities }) => { // Counter, writing back rows by index
+      if (res.rows && entities)
+        res.rows.forEach((row, i) =>
+          Object.assign(entities[i], conf.columns.parseRow(row)));
+      return res.rowCount;
+    }],
     ['counter', ({ res }) => res.rowCount]
   ]);
 
   static NAME_REGEX = /^[a-z_][a-z0-9_]*$/i;
+
+  /** Supported aggregate functions */
+  static AGGREGATES = ['count', 'min', 'max', 'sum', 'avg'];
+
+  /** Maximum number of parameters in a single postgres statement */
+  static MAX_PARAMETERS = 65535;
+}
+
+
+/** Generate multi-row INSERT statements for some entities, returning all the
+ * columns. Rows are split in as many statements as needed to respect
+ * PerseestQuery.MAX_PARAMETERS, and undefined values are left to the database
+ * @param {QueryParameters} params - Query parameters
+ * @param {Array} entities - Entities to insert (params.entities by default)
+ * @param {string} suffix - Clause to append to the VALUES one (e.g. ON CONFLICT)
+ * @returns {Array<Object>} The generated statements
+ */
+function insertMany ({ conf, entities: ents, columns }, entities = ents, suffix = '') {
+  const stamped = timestampColumns(conf, 'createdAt', 'updatedAt')
+  let cols = columns.filter(c => !stamped.includes(c))
+  // Leave the primary key to the database if there is nothing to write
+  if (!cols.length && !stamped.length) cols = conf.primaryKeys
+  const returning = [...conf.columns.keys()].map(quote).join(', ')
+  const rowsPerStatement = Math.floor(
+    (PerseestQuery.MAX_PARAMETERS - 1) / Math.max(cols.length, 1))
+  return help.chunk(entities, rowsPerStatement).map(chunk => {
+    const values = []
+    const time = stamped.length ? currentTime(conf, values) : null
+    const rows = chunk.map(ent => '(' + cols.map(c => ent[c] === undefined
+      ? 'DEFAULT'
+      : `$${values.push(conf.columns.serialize(c, ent[c]))}`
+    ).concat(stamped.map(() => time)).join(', ') + ')')
+    return {
+      text: `INSERT INTO ${quote(conf.table)} ` +
+        `(${cols.concat(stamped).map(quote).join(', ')}) ` +
+        `VALUES ${rows.join(', ')}${suffix} RETURNING ${returning}`,
+      values
+    }
+  })
+}
+
+/** Get the columns having some timestamp attributes (e.g. 'createdAt')
+ * @param {PerseestConfig} conf - Perseest configuration
+ * @param {...string} attrs - Timestamp attributes
+ * @returns {Array<String>} The column names
+ */
+function timestampColumns (conf, ...attrs) {
+  return [...conf.columns.keys()]
+    .filter(c => attrs.some(attr => conf.columns.attribute(c, attr)))
+}
+
+/** Get the SQL expression for the current time, i.e. a placeholder for the
+ * value returned by the configuration clock, or now() if there is none
+ * @param {PerseestConfig} conf - Perseest configuration
+ * @param {Array} values - Query values, to which the clock value is appended
+ * @returns {string} The SQL expression
+ */
+function currentTime (conf, values) {
+  return conf.clock ? `$${values.push(conf.clock())}` : 'now()'
+}
+
+/** Generate the ON CONFLICT clause for an upsert. Only inserted columns are
+ * overwritten: if no overwritten column is given, the inserted ones not being
+ * part of the conflict target are. If no column has to be overwritten, the conflict columns are
+ * rewritten with the same value, so that existing rows are still returned.
+ * Creation timestamps are never overwritten, while update timestamps always are.
+ * Soft-deleted rows are restored, unless the soft delete column is overwritten
+ * @param {QueryParameters} params - Query parameters
+ * @returns {string} The ON CONFLICT clause
+ */
+function onConflict ({ conf, conflict, overwrite, columns }) {
+  const target = conflict && conflict.length ? conflict : conf.primaryKeys
+  const version = conf.versionColumn
+  const created = timestampColumns(conf, 'createdAt')
+  const updated = timestampColumns(conf, 'updatedAt')
+  overwrite = overwrite
+    ? overwrite.filter(c => columns.includes(c))
+    : columns.filter(c => !target.includes(c))
+  const overwritten = (overwrite.length ? overwrite : target)
+    .filter(c => c !== version && !created.includes(c) && !updated.includes(c))
+  let set = overwritten.concat(updated)
+    .map(c => `${quote(c)} = EXCLUDED.${quote(c)}`)
+  if (conf.softDelete && !overwritten.includes(conf.softDelete)) { set.push(`${quote(conf.softDelete)} = NULL`) }
+  if (version) {
+    const current = `${quote(conf.table)}.${quote(version)}`
+    set = set.concat(`${quote(version)} = COALESCE(${current}, 0) + 1`)
+  }
+  return ` ON CONFLICT (${target.map(quote).join(', ')}) DO UPDATE SET ` +
+    set.join(', ')
+}
+
+/** Group the entities of a bulk upsert by the set of columns they define, so
+ * that no row writes (and overwrites) the columns it leaves undefined
+ * @param {QueryParameters} params - Query parameters
+ * @returns {Array<Object>} Groups in the form { columns, entities }, in order
+ *   of first appearance
+ */
+function shapes ({ entities, columns }) {
+  const groups = new Map()
+  for (const ent of entities) {
+    const cols = columns.filter(c => ent[c] !== undefined)
+    const shape = cols.join('\0')
+    if (!groups.has(shape)) groups.set(shape, { columns: cols, entities: [] })
+    groups.get(shape).entities.push(ent)
+  }
+  return [...groups.values()]
+}
+
+/** Join some SQL conditions with AND, ignoring the empty ones
+ * @param {...string} conditions - SQL conditions
+ * @returns {string} The joined conditions, or an empty string if all of them
+ *   are empty
+ */
+function where (...conditions) {
+  conditions = conditions.filter(c => c)
+  return conditions.length > 1
+    ? conditions.map(c => `(${c})`).join(' AND ')
+    : conditions.join('')
+}
+
+/** Generate the assignment incrementing the version column, to be appended
+ * to the SET clause of soft deletes (so that stale copies of the entity
+ * cannot be written)
+ * @param {PerseestConfig} conf - Perseest configuration
+ * @returns {string} The assignment (with a leading comma), or an empty string
+ *   if there is no version column
+ */
+function versionBump (conf) {
+  const version = conf.versionColumn
+  return version ? `, ${quote(version)} = COALESCE(${quote(version)}, 0) + 1` : ''
+}
+
+/** Get the columns returned by soft deletes, i.e. the soft delete column and
+ * the version one, if any
+ * @param {PerseestConfig} conf - Perseest configuration
+ * @returns {string} The quoted column list
+ */
+function softDeleteReturning (conf) {
+  return [conf.softDelete, conf.versionColumn].filter(c => c).map(quote).join(', ')
+}
+
+/** Generate the condition restricting a query to non soft-deleted rows (or
+ * to soft-deleted ones only), according to the 'withDeleted' and
+ * 'onlyDeleted' parameters
+ * @param {QueryParameters} params - Query parameters
+ * @returns {string} The condition, or an empty string if soft delete is not
+ *   enabled or every row is involved
+ */
+function softDeleteScope ({ conf, withDeleted, onlyDeleted }) {
+  if (!conf.softDelete) return ''
+  if (onlyDeleted) return `${quote(conf.softDelete)} IS NOT NULL`
+  return withDeleted ? '' : `${quote(conf.softDelete)} IS NULL`
+}
+
+/** Generate the WHERE clause of queries acting on the entities matching a
+ * condition, i.e. the 'cond' parameter along with the soft delete scope
+ * @param {QueryParameters} params - Query parameters
+ * @param {number} offset - Number of placeholders already used in the query
+ * @returns {object} The clause (with a leading space) and its values, in the
+ *   form { text, values }, with 'text' being empty if every row is involved
+ */
+function filterClause (params, offset = 0) {
+  const { text, values } = new Condition(params.cond, params.conf.columns).compile(offset)
+  const filter = where(text, softDeleteScope(params))
+  return { text: filter ? ` WHERE ${filter}` : '', values }
 }
 
+/** Generate the SET assignments of bulk updates from the 'changes'
+ * parameter. Version and timestamp columns are updated as in single updates
+ * @param {QueryParameters} params - Query parameters
+ * @param {Array} values - Values of the query, filled while generating
+ * @throws Changes must be a non-empty object
+ * @throws Columns must be present and not be version or timestamp columns
+ * @throws Operators must be valid and have consistent operands
+ * @returns {Array<String>} The assignments
+ */
+function assignments ({ conf, changes }, values) {
+  if (!help.isPlainObject(changes) || !Object.keys(changes).length) { throw new TypeError('Changes must be given as a non-empty object') }
+  const version = conf.versionColumn
+  const updated = timestampColumns(conf, 'updatedAt')
+  const fixed = [version].concat(updated, timestampColumns(conf, 'createdAt'))
+  let time // Shared by every column set to the current time
+  const now = () => time || (time = currentTime(conf, values))
+
+  const ret = []
+  for (const [col, change] of Object.entries(changes)) {
+    if (!conf.columns.has(col)) { throw new Error(`Cannot update ${col}: not present in the database table`) }
+    if (fixed.includes(col)) { throw new Error(`Cannot update ${col}: it is set automatically`) }
+    if (!help.isOperatorObject(change)) {
+      ret.push(`${quote(col)} = $${values.push(conf.columns.serialize(col, change))}`)
+      continue
+    }
+    const ops = Object.entries(change)
+    if (ops.length > 1) { throw new Error(`Only one operator can be given for column ${col}`) }
+    const [[op, operand]] = ops
+    if (op === '$inc') {
+      if (typeof operand !== 'number' && typeof operand !== 'bigint') { throw new TypeError('$inc operand must be a number') }
+      ret.push(`${quote(col)} = ${quote(col)} + $${values.push(operand)}`)
+    } else if (op === '$now') {
+      if (operand !== true) { throw new TypeError('$now operand must be true') }
+      ret.push(`${quote(col)} = ${now()}`)
+    } else {
+      throw new Error(`Unknown update operator ${op} for column ${col}`)
+    }
+  }
+
+  if (version) ret.push(`${quote(version)} = COALESCE(${quote(version)}, 0) + 1`)
+  updated.forEach(c => ret.push(`${quote(c)} = ${now()}`))
+  return ret
+}
+
+/** Generate the UPDATE statement of bulk updates, i.e. the 'changes'
+ * parameter applied to the rows matching the 'cond' parameter
+ * @param {QueryParameters} params - Query parameters
+ * @param {string} operation - Operation name, for error messages
+ * @throws Condition must not match every row, unless 'force' is given
+ * @returns {object} The statement, returning the updated rows if the
+ *   'returning' parameter is given
+ */
+function bulkUpdate (params, operation) {
+  const { conf, force, returning } = params
+  const values = []
+  const set = assignments(params, values)
+  const filter = filterClause(params, values.length)
+  if (new Condition(params.cond, conf.columns).matchesAll() && !force) { throw new Error(`Attempted to call ${operation} without an update condition`) }
+  values.push(...filter.values)
+  return {
+    text: `UPDATE ${quote(conf.table)} SET ${set.join(', ')}${filter.text}` +
+      (returning ? ' RETURNING *' : ''),
+    values
+  }
+}
+
+/** Get the columns to group rows by for aggregate functions
+ * @param {QueryParameters} params - Query parameters
+ * @throws Columns must be present in the database table
+ * @returns {Array<String>} The 'groupBy' columns, as an array
+ */
+function groupColumns ({ conf, groupBy }) {
+  if (groupBy === undefined || groupBy === null) return []
+  const groups = typeof groupBy === 'string' ? [groupBy] : groupBy
+  if (!Array.isArray(groups)) { throw new TypeError('Grouping columns must be specified as a string or an array') }
+  for (const c of groups) {
+    if (!conf.columns.has(c)) { throw new Error(`Cannot group by ${c}: not present in the database table`) }
+  }
+  return groups
+}
+
+/** Get the aggregate functions to compute, one per column
+ * @param {QueryParameters} params - Query parameters
+ * @throws Aggregates must be a non-empty object
+ * @throws Functions must be supported and columns present in the database
+ *   table ('*' is accepted for count)
+ * @throws Aggregates must not be named as the grouping columns
+ * @returns {Array<Object>} The aggregate functions, in the form
+ *   { fn, column, multiple }, with 'multiple' being true if the function was
+ *   given an array of columns
+ */
+function aggregateTerms (params) {
+  const { conf, aggregates } = params
+  if (!validate.isObject(aggregates) || validate.isArray(aggregates) || validate.isEmpty(aggregates)) { throw new TypeError('Aggregates must be given as a non-empty object') }
+  const groups = groupColumns(params)
+  const terms = []
+  for (const [fn, cols] of Object.entries(aggregates)) {
+    if (!PerseestQuery.AGGREGATES.includes(fn)) { throw new Error(`Unknown aggregate function ${fn}`) }
+    if (groups.includes(fn)) { throw new Error(`Aggregate ${fn} has the same name as a grouping column`) }
+    const multiple = validate.isArray(cols)
+    for (const column of multiple ? cols : [cols]) {
+      if (!(column === '*' && fn === 'count') && !conf.columns.has(column)) { throw new Error(`Cannot compute ${fn} of ${column}: not present in the database table`) }
+      terms.push({ fn, column, multiple })
+    }
+  }
+  return terms
+}
+
+/** Convert a numeric value returned by postgres as a string (i.e. bigint or
+ * numeric) to a number, or to a BigInt if it is an integer which cannot be
+ * safely represented as a number
+ * @param {*} value - Value to convert
+ * @param {number} oid - Postgres type identifier of the value
+ * @returns {*} The converted value, or the value itself if it is not a
+ *   string of a numeric type
+ */
+function numeric (value, oid) {
+  if (typeof value !== 'string' || !NUMERIC_OIDS.includes(oid)) return value
+  const n = Number(value)
+  return /^-?[0-9]+$/.test(value) && !Number.isSafeInteger(n) ? BigInt(value) : n
+}
+
+/** Postgres type identifiers for int8 and numeric, returned as strings */
+const NUMERIC_OIDS = [20, 1700]
+
+/** Generate the condition matching an entity by its key, i.e. the 'key' and
+ * 'kval' parameters (eventually composite), or by its primary key if the key
+ * is not given
+ * @param {QueryParameters} params - Query parameters
+ * @param {Array} values - Query values, to which the key values are appended
+ * @throws Key values must be as many as the key columns
+ * @returns {string} The condition
+ */
+function keyCondition ({ conf, ent, key = conf.primaryKey, kval }, values) {
+  const keys = [].concat(key)
+  if (kval === undefined && ent) kval = keys.map(k => ent[k])
+  else if (!validate.isArray(key)) kval = [kval]
+  if (!validate.isArray(kval) || kval.length !== keys.length) { throw new Error(`Key values must match the key columns (${keys.join(', ')})`) }
+  return keys.map((k, idx) =>
+    `${quote(k)} = $${values.push(conf.columns.serialize(k, kval[idx]))}`)
+    .join(' AND ')
+}
+
+/** Generate the SELECT statement fetching a row by its key (see keyCondition)
+ * @param {QueryParameters} params - Query parameters
+ * @returns {object} The statement
+ */
+function fetchStatement (params) {
+  const values = []
+  return {
+    text: `SELECT * FROM ${quote(params.conf.table)} WHERE ` +
+      where(keyCondition(params, values), softDeleteScope(params)),
+    values
+  }
+}
+
+/** Generate a DELETE statement
+ * @param {QueryParameters} params - Query parameters
+ * @param {string} condition - Condition on the rows to remove
+ * @param {Array} values - Values for the condition
+ * @returns {object} The statement
+ */
+function deleteStatement ({ conf }, condition, values) {
+  return { text: `DELETE FROM ${quote(conf.table)} WHERE ${condition}`, values }
+}
+
+/** Get the version column to check for a query involving an entity, i.e.
+ * if the entity is identified by its primary key and has a known version
+ * @param {QueryParameters} params - Query parameters
+ * @returns {string|null} The version column name, or null if no check has to
+ *   be performed
+ */
+function versionOf ({ conf, ent, key }) {
+  const version = conf.versionColumn
+  if (!version || !ent || !conf.isPrimaryKey(key)) return null
+  return ent[version] === undefined || ent[version] === null ? null : version
+}
+
+/** Generate the condition on the version of an entity, if it has to be
+ * checked (see versionOf)
+ * @param {QueryParameters} params - Query parameters
+ * @param {Array} values - Query values, to which the version is appended
+ * @returns {string} The condition to append to the WHERE clause, or an
+ *   empty string
+ */
+function versionCondition (params, values) {
+  const version = versionOf(params)
+  if (!version) return ''
+  const v = params.conf.columns.serialize(version, params.ent[version])
+  return ` AND ${quote(version)} = $${values.push(v)}`
+}
+
+/** Make sure that a query on a versioned entity involved some row
+ * @param {QueryParameters} params - Query parameters
+ * @param {string} operation - Operation name
+ * @param {*} ret - Value returned by the query
+ * @throws If the entity version was checked, some row must have matched
+ * @returns {*} The value returned by the query
+ */
+function staleCheck (params, operation, ret) {
+  const version = versionOf(params)
+  if (!ret && version) { throw new StaleEntityError(operation, params.ent, params.ent[version]) }
+  return ret
+}
 
 module.exports = PerseestQuery
@@ -0,0 +1,149 @@
+/** Perseest transactions
+ * @requires validate.js
+ * @author jcondor
+ * @license
+ * Copyright 2020 Paolo Lucchesi
+ * All rights reserved
+ * This software is licensed under the MIT license found in the file LICENSE
+ * in the root directory of this repository
+ */
+'use strict'
+const { AsyncLocalStorage } = require('async_hooks')
+const validate = require('validate.js')
+
+class PerseestTransaction {
+  /** Database transaction, bound to a client checked out from a pool.
+   * In general, you have no reason to create transactions manually: use
+   * PerseestTransaction.run (or PerseestConfig.transaction) instead
+   * @param {pg.Pool} pool - Pool the client was checked out from
+   * @param {pg.PoolClient} client - Client running the transaction
+   * @param {PerseestTransaction} parent - Enclosing transaction, if this one
+   *   is nested (i.e. a savepoint)
+   * @param {Function} mapError - Error mapper for the errors raised by the
+   *   database (e.g. PerseestConfig.pgError2Error), the parent one by default
+   */
+  constructor (pool, client, parent = null, mapError = null) {
+    this.pool = pool
+    this.client = client
+    this.parent = parent
+    this.mapError = mapError || (parent ? parent.mapError : err => err)
+    this.savepoint = parent ? `perseest_sp_${++this.root.savepoints}` : null
+    this.savepoints = 0
+    this.active = true
+    this.outer = this.constructor.storage.getStore() || null
+  }
+
+  /** Outermost enclosing transaction, i.e. the actual database transaction */
+  get root () {
+    return this.parent ? this.parent.root : this
+  }
+
+  /** Perform a query in the transaction, just like pg.Client.query. Errors
+   * are mapped with the transaction error mapper
+   * @param {...*} args - Arguments for pg.Client.query
+   * @returns {Promise<object>} The node-postgres response
+   */
+  query (...args) {
+    if (!this.active) { throw new Error('Transaction is not active anymore') }
+    const ret = this.client.query(...args)
+    return validate.isPromise(ret)
+      ? ret.catch(err => { throw this.mapError(err) })
+      : ret
+  }
+
+  /** Run a function in a transaction nested in this one, i.e. in a savepoint.
+   * If the function fails, the database is rolled back to the savepoint only
+   * NOTE: Nested transactions on the same client must not run concurrently
+   * @param {Function} fn - Function to run, eventually async, taking the
+   *   nested transaction as argument
+   * @param {Function} mapError - Error mapper for the nested transaction (the
+   *   one of this transaction by default)
+   * @throws Transaction must be active
+   * @throws Function must run successfully
+   * @throws Database must raise no errors (mapped with the error mapper)
+   * @returns {*} The value returned by the function
+   */
+  async nest (fn, mapError = null) {
+    if (!validate.isFunction(fn)) { throw new TypeError('Transaction body must be a function') }
+    const tx = new this.constructor(this.pool, this.client, this, mapError)
+    await tx.query(`SAVEPOINT ${tx.savepoint}`)
+    try {
+      const ret = await this.constructor.storage.run(tx, () => fn(tx))
+      await tx.query(`RELEASE SAVEPOINT ${tx.savepoint}`)
+      return ret
+    } catch (err) {
+      // If rolling back fails, the enclosing transaction is aborted anyway
+      try {
+        await this.query(`ROLLBACK TO SAVEPOINT ${tx.savepoint}`)
+        await this.query(`RELEASE SAVEPOINT ${tx.savepoint}`)
+      } catch (e) {}
+      throw err
+    } finally {
+      tx.active = false
+    }
+  }
+
+  /** Run a function in a transaction. Every perseest query performed inside
+   * the function (hooks included) on the same pool is routed through the
+   * transaction client. The transaction is committed if the function
+   * succeeds, rolled back otherwise. If a transaction is already active on
+   * the pool, the function is run in a savepoint nested in it (see nest)
+   * @param {pg.Pool} pool - Pool to check out the client from
+   * @param {Function} fn - Function to run, eventually async, taking the
+   *   transaction as argument
+   * @param {Function} mapError - Error mapper for the errors raised by the
+   *   database when connecting, beginning, committing or performing queries
+   *   through the transaction (errors are left as they are by default)
+   * @throws Pool must be given
+   * @throws Function must be a function
+   * @throws Function must run successfully
+   * @throws Database must raise no errors (mapped with the error mapper)
+   * @returns {*} The value returned by the function
+   */
+  static async run (pool, fn, mapError = null) {
+    if (!pool) { throw new Error('Database must be set up before starting a transaction') }
+    if (!validate.isFunction(fn)) { throw new TypeError('Transaction body must be a function') }
+
+    const current = this.current(pool)
+    if (current) return await current.nest(fn, mapError)
+
+    let client
+    try {
+      client = await pool.connect()
+    } catch (err) {
+      throw mapError ? mapError(err) : err
+    }
+    const tx = new this(pool, client, null, mapError)
+    let broken // Error to release the client with, if it cannot be reused
+    try {
+      await tx.query('BEGIN')
+      const ret = await this.storage.run(tx, () => fn(tx))
+      await tx.query('COMMIT')
+      return ret
+    } catch (err) {
+      await client.query('ROLLBACK').catch(e => { broken = e })
+      throw err
+    } finally {
+      tx.active = false
+      client.release(broken)
+    }
+  }
+
+  /** Get the active transaction on a pool for the current execution context
+   * @param {pg.Pool} pool - Database pool
+   * @returns {PerseestTransaction|null} The innermost active transaction
+   *   running on the pool, or null if there is none
+   */
+  static current (pool) {
+    if (!pool) return null
+    for (let tx = this.storage.getStore(); tx; tx = tx.outer) {
+      if (tx.active && tx.pool === pool) return tx
+    }
+    return null
+  }
+
+  /** Execution context storage, holding the innermost transaction */
+  static storage = new AsyncLocalStorage()
+}
+
+module.exports = PerseestTransaction
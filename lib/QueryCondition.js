@@ -0,0 +1,207 @@
+/** Perseest query condition, i.e. a WHERE clause expressed as an object
+ * @requires validate.js
+ * @author jcondor
+ * @license
+ * Copyright 2020 Paolo Lucchesi
+ * All rights reserved
+ * This software is licensed under the MIT license found in the file LICENSE
+ * in the root directory of this repository
+ */
+'use strict'
+const validate = require('validate.js')
+const { quoteIdentifier, isPlainObject, isOperatorObject } = require('./helpers')
+
+class QueryCondition {
+  /** Match condition for queries acting on multiple entities, compiled to a
+   * parameterized SQL expression
+   * @param {object} cond - Condition in the form { column: value } or
+   *   { column: { $operator: value } }, eventually nested with $and, $or and
+   *   $not. Multiple entries in the same object are joined with AND
+   * @param {Map} columns - Valid columns (usually a PerseestConfig.ColumnMap)
+   * @throws Condition must be an object
+   * @throws Columns must be present in the given column collection
+   * @throws Operators must be valid and have consistent operands
+   * @example
+   * new QueryCondition({
+   *   role: 'admin',
+   *   age: { $gte: 18, $lt: 65 },
+   *   $or: [{ name: { $ilike: 'h%' } }, { email: null }]
+   * }, SomeClass.db.columns)
+   */
+  constructor (cond = {}, columns = new Map()) {
+    this.columns = columns
+    this.tree = this.parse(cond || {})
+  }
+
+  /** Is the condition empty, i.e. does it match every row?
+   * @returns {boolean}
+   */
+  isEmpty () {
+    return this.tree.op === '$and' && this.tree.children.length === 0
+  }
+
+  /** Does the condition match every row, i.e. is it empty or always true
+   * regardless of the column values (e.g. { $not: { $or: [] } })?
+   * @returns {boolean}
+   */
+  matchesAll () {
+    return this.truth(this.tree) === true
+  }
+
+  /** Evaluate a parsed node without looking at the column values
+   * @param {object} node - Parsed node
+   * @returns {boolean|null} The node value if it is constant, null otherwise
+   */
+  truth (node) {
+    switch (node.op) {
+      case '$and':
+      case '$or': {
+        const values = node.children.map(c => this.truth(c))
+        const absorbing = node.op === '$or' // true for OR, false for AND
+        if (values.includes(absorbing)) return absorbing
+        return values.every(v => v === !absorbing) ? !absorbing : null
+      }
+      case '$not': {
+        const value = this.truth(node.children[0])
+        return value === null ? null : !value
+      }
+      case '$in':
+      case '$nin':
+        return node.value.length ? null : node.op === '$nin'
+      default:
+        return null
+    }
+  }
+
+  /** Compile the condition in a parameterized SQL expression
+   * @param {number} offset - Number of placeholders already used in the query
+   *   (e.g. by a SET clause), so that the first one generated is $(offset+1)
+   * @returns {object} An object in the form { text, values }, with 'text'
+   *   being an empty string if the condition is empty
+   * @example
+   * new QueryCondition({ a: 1, b: { $in: [2, 3] } }, columns).compile()
+   * // { text: '"a" = $1 AND "b" IN ($2, $3)', values: [1, 2, 3] }
+   */
+  compile (offset = 0) {
+    const values = []
+    const text = this.isEmpty()
+      ? ''
+      : this.compileNode(this.tree, values, offset, true)
+    return { text, values }
+  }
+
+  /** Serialize a value for a column, if the column collection supports it
+   * (see PerseestConfig.ColumnMap.serialize)
+   * @param {string} column - Column name
+   * @param {*} value - Value to serialize
+   * @returns {*} The serialized value
+   */
+  serialize (column, value) {
+    return validate.isFunction(this.columns.serialize)
+      ? this.columns.serialize(column, value)
+      : value
+  }
+
+  /** Parse a condition object in a tree of nodes
+   * @param {object} cond - Condition object
+   * @throws Condition must be well-formed
+   * @returns {object} Node in the form { op, children } for logical
+   *   operators, or { op, column, value } for comparisons
+   */
+  parse (cond) {
+    if (!isPlainObject(cond)) { throw new TypeError('Condition must be an object') }
+    const children = []
+    for (const [k, v] of Object.entries(cond)) {
+      if (k === '$and' || k === '$or') {
+        if (!validate.isArray(v)) { throw new TypeError(`${k} operand must be an array of conditions`) }
+        children.push({ op: k, children: v.map(c => this.parse(c)) })
+      } else if (k === '$not') {
+        children.push({ op: k, children: [this.parse(v)] })
+      } else if (k.startsWith('$')) {
+        throw new Error(`Unknown logical operator ${k}`)
+      } else {
+        if (!this.columns.has(k)) { throw new Error(`${k} is not present in the database table`) }
+        children.push(...this.parseColumn(k, v))
+      }
+    }
+    return children.length === 1 ? children[0] : { op: '$and', children }
+  }
+
+  /** Parse the condition on a single column
+   * @param {string} column - Column name
+   * @param {*} value - Value to match, or an object of operators
+   * @throws Operators must be valid and have consistent operands
+   * @returns {Array<Object>} The parsed comparison nodes
+   */
+  parseColumn (column, value) {
+    if (!isOperatorObject(value)) { return [{ op: '$eq', column, value }] }
+    return Object.entries(value).map(([op, operand]) => {
+      if (!this.constructor.OPERATORS.has(op)) { throw new Error(`Unknown operator ${op} for column ${column}`) }
+      if ((op === '$in' || op === '$nin') && !validate.isArray(operand)) { throw new TypeError(`${op} operand must be an array`) }
+      if ((op === '$like' || op === '$ilike') && !validate.isString(operand)) { throw new TypeError(`${op} operand must be a string`) }
+      if (op === '$null' && !validate.isBoolean(operand)) { throw new TypeError('$null operand must be a boolean') }
+      return { op, column, value: operand }
+    })
+  }
+
+  /** Compile a parsed node
+   * @param {object} node - Parsed node
+   * @param {Array} values - Parameterized values, filled while compiling
+   * @param {number} offset - Number of placeholders used outside the condition
+   * @param {boolean} root - Is the node the root of the tree?
+   * @returns {string} SQL text for the node
+   */
+  compileNode (node, values, offset, root = false) {
+    const placeholder = v => `$${offset + values.push(
+      node.op === '$like' || node.op === '$ilike' ? v : this.serialize(node.column, v))}`
+    const column = node.column && quoteIdentifier(node.column)
+
+    switch (node.op) {
+      case '$and':
+      case '$or': {
+        if (!node.children.length) { return node.op === '$and' ? 'TRUE' : 'FALSE' }
+        const text = node.children
+          .map(c => this.compileNode(c, values, offset))
+          .join(node.op === '$and' ? ' AND ' : ' OR ')
+        return root || node.children.length === 1 ? text : `(${text})`
+      }
+      case '$not':
+        return `NOT (${this.compileNode(node.children[0], values, offset, true)})`
+      case '$eq':
+        return node.value === null
+          ? `${column} IS NULL`
+          : `${column} = ${placeholder(node.value)}`
+      case '$ne':
+        return node.value === null
+          ? `${column} IS NOT NULL`
+          : `${column} <> ${placeholder(node.value)}`
+      case '$null':
+        return `${column} IS ${node.value ? '' : 'NOT '}NULL`
+      case '$in':
+      case '$nin':
+        if (!node.value.length) { return node.op === '$in' ? 'FALSE' : 'TRUE' }
+        return `${column} ${node.op === '$in' ? '' : 'NOT '}IN (` +
+          node.value.map(placeholder).join(', ') + ')'
+      default:
+        return `${column} ${this.constructor.OPERATORS.get(node.op)} ` +
+          placeholder(node.value)
+    }
+  }
+
+  /** Comparison operators, mapped to their SQL counterpart if binary */
+  static OPERATORS = new Map([
+    ['$eq', '='],
+    ['$ne', '<>'],
+    ['$gt', '>'],
+    ['$gte', '>='],
+    ['$lt', '<'],
+    ['$lte', '<='],
+    ['$like', 'LIKE'],
+    ['$ilike', 'ILIKE'],
+    ['$in', 'IN'],
+    ['$nin', 'NOT IN'],
+    ['$null', 'IS NULL']
+  ])
+}
+
+module.exports = QueryCondition
@@ -7,6 +7,7 @@
  * in the root directory of this repository
  */
 'use strict'
+const Transaction = require('./PerseestTransaction')
 
 class QueryParameters {
   #_columns;
@@ -19,16 +20,44 @@ class QueryParameters {
    * @param {object} opt - Arguments
    * @param {PerseestConfig} opt.conf - Perseest configuration for
    *   the entity class
+   * @param {Class} opt.entityClass - Persistent class of the entities
    * @param {object} opt.res - postgres response
    * @param {object} opt.ent - Persistent entity (one)
    * @param {Array} opt.entities - Persistent entities (many)
-   * @param {string} opt.key - Univocal identifier column name
-   * @param {*} opt.kval - Value for 'key'
+   * @param {string|Array<String>} opt.key - Univocal identifier column name,
+   *   or names of the columns composing it (e.g. a composite primary key)
+   * @param {*} opt.kval - Value for 'key' (an array of values, in the same
+   *   order, if 'key' is an array)
    * @param {Iterable<String>} opt.columns - Names of the columns to treat
    * @param {Iterable} opt.values - Values for 'columns', passed in order
+   * @param {object} opt.cond - Match condition for queries acting on multiple
+   *   entities (see QueryCondition)
+   * @param {string|Array} opt.orderBy - Ordering for queries acting on
+   *   multiple entities (see helpers.normalizeOrder)
+   * @param {number} opt.limit - Maximum number of entities to involve
+   * @param {number} opt.offset - Number of entities to skip
+   * @param {Array<String>} opt.conflict - Columns identifying a conflicting
+   *   row for upserts (the primary key if not given)
+   * @param {Array<String>} opt.overwrite - Columns to overwrite on conflict
+   * @param {boolean} opt.withDeleted - Include soft-deleted rows
+   * @param {boolean} opt.onlyDeleted - Include only soft-deleted rows
+   * @param {object} opt.aggregates - Aggregate functions to compute, in the
+   *   form { function: column|[columns] } (see PerseestQuery aggregate)
+   * @param {string|Array<String>} opt.groupBy - Columns to group rows by for
+   *   aggregate functions
+   * @param {object} opt.changes - Changes for bulk updates, in the form
+   *   { column: value|{ $operator: operand } } (see PerseestQuery updateMany)
+   * @param {boolean} opt.force - Allow bulk updates with a condition matching
+   *   every row
+   * @param {boolean} opt.returning - Return the updated entities from bulk
+   *   updates, instead of their number
+   * @param {pg.PoolClient} opt.client - Client to perform the query with. If
+   *   not given, it is the one of the active transaction on the configuration
+   *   pool, if any (falsy means the pool itself)
    */
   constructor(opt = {}) {
     this.conf = opt.conf;
+    this.entityClass = opt.entityClass;
     this.res = opt.res;
     this.entities = opt.entities;
 
@@ -38,8 +67,30 @@ class QueryParameters {
     this.key = opt.hasOwnProperty('key') ?
       opt.key : this.conf.primaryKey
 
-    this.kval = opt.hasOwnProperty('kval') ?
-      opt.kval : (this.ent && this.ent[this.key])
+    if (opt.hasOwnProperty('kval')) this.kval = opt.kval
+    else if (!this.ent) this.kval = undefined
+    else if (Array.isArray(this.key)) this.kval = this.key.map(k => this.ent[k])
+    else this.kval = this.ent[this.key]
+
+    this.cond = opt.cond
+    this.orderBy = opt.orderBy
+    this.limit = opt.limit
+    this.offset = opt.offset
+    this.conflict = opt.conflict
+    this.overwrite = opt.overwrite
+    this.withDeleted = opt.withDeleted
+    this.onlyDeleted = opt.onlyDeleted
+    this.aggregates = opt.aggregates
+    this.groupBy = opt.groupBy
+    this.changes = opt.changes
+    this.force = opt.force
+    this.returning = opt.returning
+
+    if (opt.hasOwnProperty('client')) this.client = opt.client
+    else {
+      const tx = Transaction.current(this.conf && this.conf.pool)
+      this.client = tx && tx.client
+    }
 
     this.#_columns = opt.columns && [...opt.columns]
     this.#_values = opt.values && [...opt.values]
@@ -58,22 +109,34 @@ class QueryParameters {
   }
   */
 
+  /** Involved columns. If not given, they are all the columns of the entity,
+   * or none if there is no entity (e.g. for queries taking a condition) */
   get columns() {
     if (!this.#_columns) { // Column-value indexing must be consistent, init both
-      this.#_columns = [...this.conf.columns.keys()]
-      this.#_values  = this.#_columns.map(c => this.ent[c]);
+      this.#_columns = this.ent ? [...this.conf.columns.keys()] : []
+      this.#_values  = this.entityValues(this.#_columns);
     }
     return this.#_columns;
   }
 
+  /** Values for 'columns'. If not given, they are taken from the entity and
+   * serialized according to the column types (see ColumnMap.serialize) */
   get values() {
     if (!this.#_values) {
       if (!this.#_columns)
-        this.#_columns = [...this.conf.columns.keys()]
-      this.#_values  = this.#_columns.map(c => this.ent[c]);
+        this.#_columns = this.ent ? [...this.conf.columns.keys()] : []
+      this.#_values  = this.entityValues(this.#_columns);
     }
     return this.#_values;
   }
+
+  /** Get the serialized values of some entity columns
+   * @param {Array<String>} columns - Column names
+   * @returns {Array} The serialized values, in the same order as 'columns'
+   */
+  entityValues(columns) {
+    return columns.map(c => this.conf.columns.serialize(c, this.ent[c]));
+  }
 }
 
 
@@ -0,0 +1,189 @@
+/** Perseest error classes
+ * @module errors
+ * @author jcondor
+ * @license
+ * Copyright 2020 Paolo Lucchesi
+ * All rights reserved
+ * This software is licensed under the MIT license found in the file LICENSE
+ * in the root directory of this repository
+ */
+'use strict'
+
+/** Base class for every error raised by perseest */
+class PerseestError extends Error {
+  /** @param {string} message - Error message
+   * @param {object} opt - Standard error options (e.g. { cause })
+   */
+  constructor (message, opt) {
+    super(message, opt)
+    this.name = this.constructor.name
+  }
+}
+
+/** Operation not allowed for the current lifecycle state of an entity */
+class EntityStateError extends PerseestError {
+  /** @param {string} operation - Attempted operation (e.g. 'update')
+   * @param {*} entity - Entity the operation was attempted on
+   * @param {string} state - Lifecycle state of the entity
+   */
+  constructor (operation, entity, state) {
+    super(`Cannot ${operation} an entity in the '${state}' state`)
+    this.operation = operation
+    this.entity = entity
+    this.state = state
+  }
+}
+
+/** No row matched an entity expected to be in the database */
+class EntityNotFoundError extends PerseestError {
+  /** @param {string} operation - Attempted operation (e.g. 'reload')
+   * @param {*} entity - Entity not found
+   */
+  constructor (operation, entity) {
+    super(`Cannot ${operation} an entity not present in the database`)
+    this.operation = operation
+    this.entity = entity
+  }
+}
+
+/** No row matched the version of an entity, i.e. the row was changed or
+ * removed since the entity was fetched or written (see 'version' columns) */
+class StaleEntityError extends PerseestError {
+  /** @param {string} operation - Attempted operation (e.g. 'update')
+   * @param {*} entity - Stale entity
+   * @param {*} version - Version of the entity
+   */
+  constructor (operation, entity, version) {
+    super(`Cannot ${operation} a stale entity: version ${version} was ` +
+      'changed or removed concurrently')
+    this.operation = operation
+    this.entity = entity
+    this.version = version
+  }
+}
+
+/** Entity not satisfying the constraints declared for its columns */
+class ValidationError extends PerseestError {
+  /** @param {*} entity - Invalid entity
+   * @param {object} errors - Messages for each invalid column, in the form
+   *   { column: [messages] }
+   */
+  constructor (entity, errors) {
+    super('Validation failed: ' + Object.values(errors)
+      .reduce((all, msgs) => all.concat(msgs), []).join('; '))
+    this.entity = entity
+    this.errors = errors
+  }
+}
+
+/** Error raised by a query hook, wrapping the original error */
+class HookError extends PerseestError {
+  /** @param {string} query - Name of the query the hook is bound to
+   * @param {string} when - Temporal trigger, i.e. 'before', 'after' or 'around'
+   * @param {Error} cause - Error thrown by the hook
+   */
+  constructor (query, when, cause) {
+    super(`${when[0].toUpperCase()}${when.slice(1)}-hook of query ${query} ` +
+      `failed: ${cause && cause.message}`, { cause })
+    this.cause = cause // Error options are ignored before node 16.9
+    this.query = query
+    this.when = when
+  }
+}
+
+/** Error raised by the database (or when connecting to it), wrapping the
+ * original node-postgres error */
+class DatabaseError extends PerseestError {
+  /** @param {Error} cause - Original error
+   * @param {object} opt - Query context
+   * @param {string} opt.query - Name of the performed query
+   * @param {Class} opt.entityClass - Persistent class of the involved entities
+   */
+  constructor (cause, { query, entityClass } = {}) {
+    super(cause.message, { cause })
+    this.cause = cause // Error options are ignored before node 16.9
+    this.code = cause.code
+    this.query = query
+    this.entityClass = entityClass
+    this.table = cause.table
+    this.constraint = cause.constraint
+    this.detail = cause.detail
+
+    // Postgres gives no column for some violations, but mentions it in details
+    const key = /^Key \((.+?)\)=/.exec(cause.detail || '')
+    this.column = cause.column || (key ? key[1] : undefined)
+  }
+}
+
+/** Unique constraint violation (SQLSTATE 23505) */
+class UniqueViolationError extends DatabaseError {}
+
+/** Foreign key constraint violation (SQLSTATE 23503) */
+class ForeignKeyViolationError extends DatabaseError {}
+
+/** Not null constraint violation (SQLSTATE 23502) */
+class NotNullViolationError extends DatabaseError {}
+
+/** Check constraint violation (SQLSTATE 23514) */
+class CheckViolationError extends DatabaseError {}
+
+/** Transaction serialization failure (SQLSTATE 40001), usually worth a retry */
+class SerializationFailureError extends DatabaseError {}
+
+/** Connection failure (SQLSTATE class 08, server shutdowns or network errors) */
+class ConnectionError extends DatabaseError {}
+
+/** Database error classes, by SQLSTATE code */
+const SQLSTATE_ERRORS = new Map([
+  ['23505', UniqueViolationError],
+  ['23503', ForeignKeyViolationError],
+  ['23502', NotNullViolationError],
+  ['23514', CheckViolationError],
+  ['40001', SerializationFailureError],
+  ['57P01', ConnectionError], // admin_shutdown
+  ['57P02', ConnectionError], // crash_shutdown
+  ['57P03', ConnectionError] // cannot_connect_now
+])
+
+/** Network error codes raised by node when connecting to the database */
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND',
+  'EHOSTUNREACH', 'EPIPE']
+
+/** Map an error raised while performing a query to a DatabaseError. Errors
+ * not coming from the database (i.e. with no SQLSTATE nor network error code)
+ * and perseest errors are returned as they are
+ * @param {Error} err - The error
+ * @param {object} opt - Query context, as in DatabaseError (a QueryParameters
+ *   instance works too)
+ * @returns {Error} The mapped error
+ * @example
+ * fromPgError(err, { query: 'save', entityClass: User })
+ * // UniqueViolationError, if err.code === '23505'
+ */
+function fromPgError (err, { query, entityClass } = {}) {
+  if (!err || err instanceof PerseestError || typeof err.code !== 'string') return err
+  if (query && typeof query !== 'string') query = query.name
+  const opt = { query, entityClass }
+
+  if (SQLSTATE_ERRORS.has(err.code)) return new (SQLSTATE_ERRORS.get(err.code))(err, opt)
+  if (err.code.startsWith('08') || NETWORK_ERRORS.includes(err.code)) { return new ConnectionError(err, opt) }
+  // SQLSTATE codes are 5 characters long (node system errors start with E)
+  return /^[0-9A-DF-Z][0-9A-Z]{4}$/.test(err.code) ? new DatabaseError(err, opt) : err
+}
+
+module.exports = {
+  PerseestError,
+  EntityStateError,
+  EntityNotFoundError,
+  StaleEntityError,
+  ValidationError,
+  HookError,
+  DatabaseError,
+  UniqueViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  CheckViolationError,
+  SerializationFailureError,
+  ConnectionError,
+  fromPgError
+}
@@ -36,6 +36,47 @@ function placeholders (n) {
   return n > 0 ? [...range(1, n)].map(n => `$${n}`).join(', ') : ''
 }
 
+/** Split an array in consecutive chunks of at most 'size' elements
+ * @param {Array} array - Array to split
+ * @param {number} size - Maximum chunk size, must be a positive integer
+ * @throws Size must be a positive integer
+ * @returns {Array<Array>} The chunks, in order
+ * @example chunk([1, 2, 3, 4, 5], 2)  // [[1, 2], [3, 4], [5]]
+ */
+function chunk (array, size) {
+  if (!Number.isInteger(size) || size <= 0) { throw new TypeError('Chunk size must be a positive integer') }
+  const chunks = []
+  for (let i = 0; i < array.length; i += size) { chunks.push(array.slice(i, i + size)) }
+  return chunks
+}
+
+/** Quote an identifier (e.g. a table or column name) for a postgres query,
+ * preserving its case. Dot-separated names are treated as qualified names
+ * (e.g. 'schema.table'), and already quoted parts are left untouched
+ * @param {string} name - Identifier to quote
+ * @throws Name must be a non-blank string
+ * @throws Name must be well-formed, i.e. with no blank parts and with double
+ *   quotes only around whole parts (doubled if inside them)
+ * @returns {string} The quoted identifier
+ * @example quoteIdentifier('UserAccount')  // '"UserAccount"'
+ * @example quoteIdentifier('app.UserAccount')  // '"app"."UserAccount"'
+ * @example quoteIdentifier('"my.schema".users')  // '"my.schema"."users"'
+ */
+function quoteIdentifier (name) {
+  if (typeof name !== 'string' || name === '') { throw new TypeError('Identifier must be a non-blank string') }
+  const parts = name.match(/"(?:[^"]|"")+"|[^."]+|\./g)
+  if (parts.join('') !== name) { throw new Error(`Malformed identifier ${name}`) }
+
+  // Parts must alternate with dots, e.g. [part, '.', part]
+  const quoted = []
+  for (const [i, p] of parts.entries()) {
+    if ((p === '.') !== (i % 2 === 1)) { throw new Error(`Malformed identifier ${name}`) }
+    if (p !== '.') quoted.push(p.startsWith('"') ? p : `"${p}"`)
+  }
+  if (parts.length % 2 === 0) { throw new Error(`Malformed identifier ${name}`) }
+  return quoted.join('.')
+}
+
 /** Get columns-values in the form [ [columns], [values] ]
  * Order correspondence with the real database is not guaranteed
  * @param {*} ent - Entity instance
@@ -51,6 +92,65 @@ function entityCV (ent, columns) {
   return [cols, vals]
 }
 
+/** Normalize an ordering specification in the form [ [column, direction] ]
+ * @param {string|Array<String|Array>} orderBy - A column name, or an array of
+ *   column names and [column, direction] pairs, direction being 'asc' or
+ *   'desc' (case insensitive, 'asc' if not given)
+ * @param {Map} columns - Valid columns (usually a PerseestConfig.ColumnMap)
+ * @throws Columns must be present in the given column collection
+ * @throws Directions must be either 'asc' or 'desc'
+ * @returns {Array<Array>} An array of [column, 'ASC'|'DESC'] pairs, empty if
+ *   no ordering was specified
+ * @example normalizeOrder([['created', 'desc'], 'name'], columns)
+ * // [['created', 'DESC'], ['name', 'ASC']]
+ */
+function normalizeOrder (orderBy, columns) {
+  if (!orderBy) return []
+  if (typeof orderBy === 'string') orderBy = [orderBy]
+  if (!Array.isArray(orderBy)) { throw new TypeError('Ordering must be specified as a string or an array') }
+  return orderBy.map(o => {
+    const [col, dir = 'asc'] = Array.isArray(o) ? o : [o]
+    if (typeof col !== 'string' || !columns.has(col)) { throw new Error(`Cannot order by ${col}: not present in the database table`) }
+    if (typeof dir !== 'string' || !['ASC', 'DESC'].includes(dir.toUpperCase())) { throw new TypeError(`Ordering direction must be 'asc' or 'desc', got ${dir}`) }
+    return [col, dir.toUpperCase()]
+  })
+}
+
+/** Encode an array of values in an opaque cursor string. Date and BigInt
+ * values are preserved across encoding and decoding
+ * @param {Array} values - Values to encode, which must be JSON serializable
+ *   (dates and BigInt values aside)
+ * @returns {string} The cursor
+ */
+function encodeCursor (values) {
+  const json = JSON.stringify(values, function (k, v) {
+    if (this[k] instanceof Date) return { $date: this[k].getTime() }
+    return typeof v === 'bigint' ? { $bigint: v.toString() } : v
+  })
+  return Buffer.from(json).toString('base64')
+}
+
+/** Decode a cursor generated by encodeCursor
+ * @param {string} cursor - The cursor
+ * @throws Cursor must be a valid string previously generated by encodeCursor
+ * @returns {Array} The encoded values
+ */
+function decodeCursor (cursor) {
+  if (typeof cursor !== 'string') { throw new TypeError('Cursor must be a string') }
+  const tagged = v => v && typeof v === 'object' && Object.keys(v).length === 1
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64').toString(), (k, v) => {
+      if (tagged(v) && Number.isInteger(v.$date)) return new Date(v.$date)
+      if (tagged(v) && /^-?\d+$/.test(v.$bigint)) return BigInt(v.$bigint)
+      return v
+    })
+    if (!Array.isArray(values)) throw new Error()
+    return values
+  } catch (err) {
+    throw new Error('Invalid cursor')
+  }
+}
+
 /** Is something implementing the iterable protocol?
  * @param {*} o - Object to inspect
  * @returns {boolean} Is the object iterable?
@@ -59,6 +159,26 @@ function isIterable (o) {
   return !!((o && typeof o[Symbol.iterator] === 'function'))
 }
 
+/** Is something a plain object, i.e. not a Date, an array, a Buffer etc.?
+ * @param {*} o - Object to inspect
+ * @returns {boolean}
+ */
+function isPlainObject (o) {
+  if (!o || typeof o !== 'object') return false
+  const proto = Object.getPrototypeOf(o)
+  return proto === Object.prototype || proto === null
+}
+
+/** Is something an object of operators, e.g. { $gt: 1, $lt: 5 }?
+ * @param {*} o - Object to inspect
+ * @returns {boolean}
+ */
+function isOperatorObject (o) {
+  if (!isPlainObject(o)) return false
+  const keys = Object.keys(o)
+  return keys.length > 0 && keys.every(k => k.startsWith('$'))
+}
+
 /** Create a new Set instance being the union of this Set and an iterable
  * collection
  * @param {Iterable} other - An iterable collection
@@ -84,5 +204,15 @@ Set.prototype.equals = function (other) {
 }
 
 module.exports = {
-  range, placeholders, entityCV, isIterable
+  range,
+  placeholders,
+  chunk,
+  quoteIdentifier,
+  entityCV,
+  normalizeOrder,
+  encodeCursor,
+  decodeCursor,
+  isIterable,
+  isPlainObject,
+  isOperatorObject
 }
@@ -10,9 +10,223 @@
  */
 'use strict'
 const Params = require('./QueryParameters')
+const Condition = require('./QueryCondition')
+const Transaction = require('./PerseestTransaction')
+const { EntityStateError, EntityNotFoundError, StaleEntityError, ValidationError } = require('./errors')
 const validate = require('validate.js')
 const help = require('./helpers')
 
+/** Entity lifecycle states */
+const States = Object.freeze({
+  NEW: 'new', // Never saved
+  PERSISTED: 'persisted', // Saved or fetched
+  DELETED: 'deleted', // Removed from the database
+  DETACHED: 'detached' // Persisted once, but not known to be in sync anymore
+})
+
+// Key for the lifecycle state, so that it does not clash with columns
+const STATE = Symbol('perseest.state')
+
+// Key for the column values known to be stored in the database
+const SNAPSHOT = Symbol('perseest.snapshot')
+
+// Number of server-side cursors opened so far, used to name them
+let cursors = 0
+
+/** Get a comparable representation of a column value, so that objects (e.g.
+ * dates or JSON values) are compared by content instead of by reference
+ * @param {*} value - Column value
+ * @returns {string|undefined} The value fingerprint
+ */
+function fingerprint (value) {
+  return JSON.stringify(value, (k, v) => typeof v === 'bigint' ? `${v}n` : v)
+}
+
+/** Remember the current values of some columns as the ones stored in the
+ * database, i.e. mark them as not changed
+ * @param {PerseestClass} ent - The entity
+ * @param {Iterable<String>} columns - Column names (all of them by default)
+ * @returns undefined
+ */
+function takeSnapshot (ent, columns = ent.constructor.db.columns.keys()) {
+  if (!ent[SNAPSHOT]) ent[SNAPSHOT] = new Map()
+  for (const c of columns) ent[SNAPSHOT].set(c, fingerprint(ent[c]))
+}
+
+/** Make sure that an operation is allowed for the lifecycle state of an entity
+ * @param {PerseestClass} ent - The entity
+ * @param {string} operation - Operation name
+ * @param {...string} allowed - Lifecycle states allowing the operation
+ * @throws Entity must be in one of the allowed states
+ * @returns undefined
+ */
+function assertState (ent, operation, ...allowed) {
+  if (!allowed.includes(ent.lifecycle)) { throw new EntityStateError(operation, ent, ent.lifecycle) }
+}
+
+/** Make sure that an entity satisfies the constraints of some columns (see
+ * PerseestConfig.validate)
+ * @param {PerseestClass} ent - The entity
+ * @param {Iterable<String>} columns - Columns to validate (all the non-serial
+ *   ones by default)
+ * @throws Entity must be valid
+ * @returns undefined
+ */
+function assertValid (ent, columns) {
+  const conf = ent.constructor.db
+  if (!columns) columns = [...conf.columns.keys()].filter(k => !conf.columns.attribute(k, 'serial'))
+  const errors = conf.validate(ent, columns)
+  if (errors) { throw new ValidationError(ent, errors) }
+}
+
+/** Initialize the version of an entity about to be inserted, if the class
+ * has a version column and the entity has no version yet
+ * @param {PerseestClass} ent - The entity
+ * @returns undefined
+ */
+function initVersion (ent) {
+  const version = ent.constructor.db.versionColumn
+  if (version && (ent[version] === undefined || ent[version] === null)) { ent[version] = 1 }
+}
+
+/** Mark an entity as detached, i.e. not known to be in sync with the
+ * database. Every column of a detached entity is considered changed
+ * @param {PerseestClass} ent - The entity
+ * @returns undefined
+ */
+function markDetached (ent) {
+  ent[STATE] = States.DETACHED
+  delete ent[SNAPSHOT] // Stored values are not known anymore
+}
+
+/** Remove an entity with a query (i.e. 'delete' or 'forceDelete'), updating
+ * its lifecycle state
+ * @param {PerseestClass} ent - The entity
+ * @param {string} query - Query name
+ * @throws Entity must not be stale
+ * @throws Database must raise no errors
+ * @throws Hooks must run successfully
+ * @returns {boolean} true if the entity was removed, false if not found
+ */
+async function removeEntity (ent, query) {
+  const conf = ent.constructor.db
+  try {
+    const ret = await conf.queries.run(query, new Params({
+      conf: conf, entityClass: ent.constructor, ent: ent
+    }))
+    if (ret) {
+      ent[STATE] = States.DELETED
+      if (conf.softDelete && query === 'delete') takeSnapshot(ent, [conf.softDelete, conf.versionColumn].filter(c => c))
+    } else markDetached(ent)
+    return ret
+  } catch (err) {
+    if (err instanceof StaleEntityError) markDetached(ent)
+    throw err
+  }
+}
+
+/** Normalize and validate the options of an upsert
+ * @param {Class} Class - Persistent class
+ * @param {Array} entities - Entities to upsert
+ * @param {object} opt - Upsert options
+ * @param {string|Array<String>} opt.conflict - Conflict target columns
+ * @param {string|Array<String>} opt.overwrite - Columns to overwrite
+ * @throws Conflict columns must be usable as univocal identifiers
+ * @throws Overwritten columns must be present
+ * @returns {object} Parameters in the form { columns, conflict, overwrite },
+ *   'columns' being the ones to insert and 'overwrite' being undefined if not
+ *   given (i.e. each row overwrites the columns it defines, see upsertMany)
+ */
+function upsertOptions (Class, entities, { conflict, overwrite } = {}) {
+  const map = Class.db.columns
+  const list = cols => validate.isString(cols) ? [cols] : [...cols]
+
+  conflict = conflict ? list(conflict) : Class.db.primaryKeys
+  if (!conflict.length) { throw new Error('Conflict target must contain at least a column') }
+  for (const c of conflict) {
+    if (!validate.isString(c)) { throw new TypeError('Columns must be specified as strings') }
+  }
+  if (!Class.db.isIdentifier(conflict)) { throw new Error(`Fields ${conflict.join(', ')} are not a univocal identifier`) }
+
+  // Serial columns are written only if they are part of the conflict target
+  const columns = [...map.keys()]
+    .filter(k => !map.attribute(k, 'serial') || conflict.includes(k))
+    .filter(k => entities.some(ent => ent[k] !== undefined))
+
+  if (overwrite) {
+    overwrite = list(overwrite)
+    for (const c of overwrite) {
+      if (!validate.isString(c)) { throw new TypeError('Columns must be specified as strings') }
+      if (!map.has(c)) { throw new Error(`${c} is not present in the database table`) }
+    }
+  }
+
+  return { columns, conflict, overwrite }
+}
+
+/** Get the columns and values of a condition made of equalities only (e.g.
+ * { name: 'homer', age: 39 }), to be given to hooks as in single queries
+ * @param {Class} Class - Persistent class
+ * @param {object} cond - Match condition (see QueryCondition)
+ * @returns {object} Parameters in the form { columns, values }, with values
+ *   serialized, or an empty object if the condition has operators
+ */
+function equalities (Class, cond) {
+  if (!help.isPlainObject(cond)) return {}
+  const map = Class.db.columns
+  const entries = Object.entries(cond)
+  if (entries.some(([k, v]) => !map.has(k) || help.isOperatorObject(v))) return {}
+  return {
+    columns: entries.map(([k]) => k),
+    values: entries.map(([k, v]) => map.serialize(k, v))
+  }
+}
+
+/** Translate increments in bulk update changes (see updateMany)
+ * @param {object} amounts - Increments, in the form { column: n }
+ * @throws Increments must be given as a non-empty object
+ * @returns {object} Changes in the form { column: { $inc: n } }
+ */
+function increments (amounts) {
+  if (!help.isPlainObject(amounts) || !Object.keys(amounts).length) { throw new TypeError('Increments must be given as a non-empty object') }
+  const changes = {}
+  for (const [col, n] of Object.entries(amounts)) changes[col] = { $inc: n }
+  return changes
+}
+
+/** Normalize the arguments identifying a single entity, which can be given as
+ *   - a column and its value, e.g. ('email', 'homer@simpson.com')
+ *   - some columns and their values, e.g. (['tenant_id', 'id'], [1, 42])
+ *   - an object of column values, e.g. ({ tenant_id: 1, id: 42 })
+ *   - the values of the primary key columns, e.g. ([1, 42])
+ * @param {Class} Class - Persistent class
+ * @param {Array} args - Arguments, eventually followed by other ones (e.g.
+ *   optional parameters)
+ * @throws Columns must be usable as univocal identifiers
+ * @throws Values must be as many as the columns
+ * @returns {object} Parameters in the form { key, kval, rest }, with 'key'
+ *   and 'kval' being arrays only for multiple columns and 'rest' containing
+ *   the arguments following the identifying ones
+ */
+function identify (Class, [key, kval, ...rest]) {
+  if (help.isPlainObject(key)) {
+    rest.unshift(kval)
+    kval = Object.values(key)
+    key = Object.keys(key)
+  } else if (validate.isArray(key) && !validate.isArray(kval)) {
+    rest.unshift(kval)
+    kval = key
+    key = Class.db.primaryKeys
+  }
+
+  if (validate.isArray(key)) {
+    if (!validate.isArray(kval) || kval.length !== key.length) { throw new Error(`Key values must match the key columns (${key.join(', ')})`) }
+    if (key.length === 1) [key, kval] = [key[0], kval[0]]
+  }
+  if (!Class.db.isIdentifier(key)) { throw new Error(`Field ${[].concat(key).join(', ')} is not a univocal identifier`) }
+  return { key, kval, rest }
+}
+
 /** Generate a base class for a database-persistent subclass or data structure
  * from another class (i.e. function-style mixin)
  * @param {Class} Base - Base class to extend
@@ -34,51 +248,263 @@ function Mixin (Base) {
      */
     constructor (...args) {
       super(...args)
-      if (!this.exists) this.exists = false
+      if (!this[STATE]) this[STATE] = States.NEW
+    }
+
+    /** Lifecycle state of the entity, i.e. one of PerseestClass.States */
+    get lifecycle () {
+      return this[STATE] || States.NEW
+    }
+
+    /** Does the entity exist in the database (as far as it is known)?
+     * Setting it marks the entity as persisted (if truthy) or new (if falsy)
+     */
+    get exists () {
+      return this.isPersisted() || this.isDetached()
+    }
+
+    set exists (value) {
+      this[STATE] = value ? States.PERSISTED : States.NEW
+    }
+
+    /** @returns {boolean} Has the entity never been saved? */
+    isNew () { return this.lifecycle === States.NEW }
+
+    /** @returns {boolean} Has the entity been saved or fetched? */
+    isPersisted () { return this.lifecycle === States.PERSISTED }
+
+    /** @returns {boolean} Has the entity been removed from the database? */
+    isDeleted () { return this.lifecycle === States.DELETED }
+
+    /** @returns {boolean} Is the entity not known to be in sync anymore? */
+    isDetached () { return this.lifecycle === States.DETACHED }
+
+    /** Mark a persisted entity as detached, i.e. not known to be in sync with
+     * the database anymore (e.g. after being deserialized from a cache). Every
+     * column of a detached entity is considered changed
+     * @throws Entity must be persisted
+     * @returns undefined
+     */
+    detach () {
+      assertState(this, 'detach', States.PERSISTED, States.DETACHED)
+      markDetached(this)
+    }
+
+    /** Build an entity from a database row, without running the class
+     * constructor. Used by default to transform fetched rows in entities
+     * (see PerseestConfig.row2Entity)
+     * @param {object} row - Row with parsed column values
+     * @returns {PerseestClass} An existent instance of the class, with the
+     *   row fields as properties
+     */
+    static fromRow (row) {
+      const ent = Object.assign(Object.create(this.prototype), row)
+      ent[STATE] = States.PERSISTED
+      takeSnapshot(ent, Object.keys(row))
+      return ent
+    }
+
+    /** Get the columns changed since the entity was last fetched or written.
+     * If the values stored in the database are not known (e.g. the entity was
+     * never saved), every column is considered changed
+     * @returns {Array<String>} The names of the changed columns
+     */
+    changedColumns () {
+      const snapshot = this[SNAPSHOT]
+      return [...this.constructor.db.columns.keys()].filter(c =>
+        !snapshot || !snapshot.has(c) || snapshot.get(c) !== fingerprint(this[c]))
+    }
+
+    /** @returns {boolean} Has some column changed since the entity was last
+     *   fetched or written? */
+    isDirty () {
+      return this.changedColumns().length > 0
     }
 
     /** Save the entity in the database. If the entity exists already (i.e.
-     * 'this.exists' is truthy, fallback to update()
+     * 'this.exists' is truthy, fallback to update(). Columns marked as serial
+     * or having an undefined value are left to the database, and the values
+     * assigned by the database are written back to the entity
+     * @throws Entity must not be deleted
+     * @throws Entity must be valid (see PerseestConfig.validate)
      * @throws Database must raise no errors
      * @throws Hooks must run successfully
      * @returns {boolean} true if the user was saved, false otherwise
      */
     async save () {
       try {
+        assertState(this, 'save', States.NEW, States.PERSISTED, States.DETACHED)
         if (this.exists) { return await this.update() }
+        assertValid(this)
+        initVersion(this)
         const ret = await this.constructor.db.queries.run('save', new Params({
           conf: this.constructor.db,
+          entityClass: this.constructor,
           ent: this,
           columns: [...this.constructor.db.columns]
             .filter(([k, v]) => !this.constructor.db.columns.attribute(k, 'serial'))
+            .filter(([k, v]) => this[k] !== undefined)
             .map(([k, v]) => k)
         }))
-        if (ret) this.exists = true
+        if (ret) {
+          this[STATE] = States.PERSISTED
+          takeSnapshot(this)
+        }
         return ret
       } catch (err) {
         throw err
       }
     }
 
-    /** Update entity columns selectively
+    /** Insert multiple new entities with as few queries as possible, i.e.
+     * multi-row INSERT statements (split according to the postgres limit on
+     * query parameters and performed in a single transaction). Like in save(),
+     * serial and undefined columns are left to the database, and the values
+     * assigned by the database are written back to the entities
+     * @param {Iterable<PerseestClass>} entities - Entities to insert
+     * @throws Entities must be an iterable collection of class instances
+     * @throws Entities must be new
+     * @throws Entities must be valid (see PerseestConfig.validate)
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example await User.saveMany([homer, marge, bart])
+     * @returns {number} The number of saved entities
+     */
+    static async saveMany (entities) {
+      if (!help.isIterable(entities) || validate.isString(entities)) { throw new TypeError('Entities must be given as an iterable collection') }
+      entities = [...entities]
+      for (const ent of entities) {
+        if (!(ent instanceof this)) { throw new TypeError(`Entities must be instances of ${this.name}`) }
+        assertState(ent, 'save', States.NEW)
+        assertValid(ent)
+      }
+      if (!entities.length) return 0
+      entities.forEach(initVersion)
+
+      try {
+        const ret = await this.db.queries.run('saveMany', new Params({
+          conf: this.db,
+          entityClass: this,
+          entities: entities,
+          columns: [...this.db.columns.keys()]
+            .filter(k => !this.db.columns.attribute(k, 'serial'))
+            .filter(k => entities.some(ent => ent[k] !== undefined))
+        }))
+        for (const ent of entities) {
+          ent[STATE] = States.PERSISTED
+          takeSnapshot(ent)
+        }
+        return ret
+      } catch (err) { throw err }
+    }
+
+    /** Insert the entity, or update the existing row if the insertion
+     * conflicts with it (i.e. INSERT ... ON CONFLICT DO UPDATE). Useful for
+     * entities built in memory which may be present in the database already.
+     * Values assigned by the database (or present in the existing row, if not
+     * overwritten) are written back to the entity
+     * @param {object} opt - Optional parameters
+     * @param {string|Array<String>} opt.conflict - Columns identifying the
+     *   conflicting row, which must be marked as 'id' and covered by a unique
+     *   constraint (the primary key by default)
+     * @param {string|Array<String>} opt.overwrite - Columns to overwrite in
+     *   the existing row (by default, all the inserted ones not being part of
+     *   the conflict target)
+     * @throws Entity must not be deleted
+     * @throws Entity must be valid (see PerseestConfig.validate)
+     * @throws Options must refer to consistent columns
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example user.upsert({ conflict: 'email', overwrite: ['name', 'hash'] })
+     * @returns {boolean} true if the entity was inserted or updated
+     */
+    async upsert ({ conflict, overwrite } = {}) {
+      assertState(this, 'upsert', States.NEW, States.PERSISTED, States.DETACHED)
+      assertValid(this)
+      initVersion(this)
+      try {
+        const ret = await this.constructor.db.queries.run('upsert', new Params({
+          conf: this.constructor.db,
+          entityClass: this.constructor,
+          ent: this,
+          ...upsertOptions(this.constructor, [this], { conflict, overwrite })
+        }))
+        if (ret) {
+          this[STATE] = States.PERSISTED
+          takeSnapshot(this)
+        }
+        return ret
+      } catch (err) { throw err }
+    }
+
+    /** Upsert multiple entities with as few queries as possible, in the same
+     * way as saveMany() (see upsert() for the options)
+     * @param {Iterable<PerseestClass>} entities - Entities to upsert
+     * @param {object} opt - Optional parameters, as in upsert()
+     * @throws Entities must be an iterable collection of class instances
+     * @throws Entities must not be deleted
+     * @throws Entities must be valid (see PerseestConfig.validate)
+     * @throws Options must refer to consistent columns
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @returns {number} The number of inserted or updated entities
+     */
+    static async upsertMany (entities, { conflict, overwrite } = {}) {
+      if (!help.isIterable(entities) || validate.isString(entities)) { throw new TypeError('Entities must be given as an iterable collection') }
+      entities = [...entities]
+      for (const ent of entities) {
+        if (!(ent instanceof this)) { throw new TypeError(`Entities must be instances of ${this.name}`) }
+        assertState(ent, 'upsert', States.NEW, States.PERSISTED, States.DETACHED)
+        assertValid(ent)
+      }
+      if (!entities.length) return 0
+      entities.forEach(initVersion)
+
+      try {
+        const ret = await this.db.queries.run('upsertMany', new Params({
+          conf: this.db,
+          entityClass: this,
+          entities: entities,
+          ...upsertOptions(this, entities, { conflict, overwrite })
+        }))
+        for (const ent of entities) {
+          ent[STATE] = States.PERSISTED
+          takeSnapshot(ent)
+        }
+        return ret
+      } catch (err) { throw err }
+    }
+
+    /** Update entity columns selectively. If no column is given, only the
+     * changed ones are updated (see changedColumns), and the database is not
+     * queried at all if nothing changed. Columns marked with 'refresh' (e.g.
+     * changed by triggers) are written back to the entity after the update.
+     * If the class has a version column, the row is updated only if its
+     * version matches the entity one, and the version is incremented
      * @param {array} args - Fields to update
+     * @throws Entity must be persisted or detached
      * @throws Specified keys must be valid persistent properties
+     * @throws Entity must not be stale (i.e. with a version not matching)
+     * @throws Updated columns must be valid (see PerseestConfig.validate)
      * @throws Database must raise no errors
      * @throws Hooks must run successfully
-     * @example something.update();  // Update all the entity keys
+     * @example something.update();  // Update all the changed columns
      * @example
      * // Update just email and name for a user
      * user.update('email', 'name')
      * user.update(['email','name'])  // Works equally
      * user.update(new Set(['email','name']))  // Any iterable collection works
-     * @returns {boolean} true if the user was updated, false otherwise
+     * @returns {boolean} true if the user was updated (or there was nothing
+     *   to update, e.g. only creation timestamps were given), false otherwise
      */
     async update (...keys) {
-      // Update all the columns if none is specified
+      assertState(this, 'update', States.PERSISTED, States.DETACHED)
+
+      // Update the changed columns if none is specified
       if (keys.length === 0) {
-        keys = [...this.constructor.db.columns]
-          .filter(([k, v]) => !this.constructor.db.columns.attribute(k, 'serial'))
-          .map(([k, v]) => k)
+        keys = this.changedColumns()
+          .filter(k => !this.constructor.db.columns.attribute(k, 'serial'))
+        if (keys.length === 0) return true
       }
 
       // If specific keys are given, validate them
@@ -90,91 +516,560 @@ function Mixin (Base) {
         }
       }
 
-      // Query the database
+      // Creation timestamps are never written, so there may be nothing to set
+      const conf = this.constructor.db
+      keys = [...keys].filter(k => !conf.columns.attribute(k, 'createdAt'))
+      if (!keys.length && !conf.versionColumn &&
+        !conf.columns.withAttribute('updatedAt').length) return true
+
+      assertValid(this, keys)
+
+      // Query the database - If no row was found, the entity is out of sync
       try {
-        return await this.constructor.db.queries.run('update', new Params({
-          conf: this.constructor.db, ent: this, columns: keys
+        const ret = await this.constructor.db.queries.run('update', new Params({
+          conf: this.constructor.db,
+          entityClass: this.constructor,
+          ent: this,
+          columns: keys
         }))
+        if (ret) {
+          this[STATE] = States.PERSISTED
+          takeSnapshot(this, [...keys].concat(
+            this.constructor.db.columns.withAttribute('refresh'),
+            this.constructor.db.columns.withAttribute('version'),
+            this.constructor.db.columns.withAttribute('updatedAt')))
+        } else markDetached(this)
+        return ret
+      } catch (err) {
+        if (err instanceof StaleEntityError) markDetached(this)
+        throw err
+      }
+    }
+
+    /** Read the entity row again (by primary key), refreshing every column of
+     * the entity in place. Changes not written yet are discarded
+     * @throws Entity must be persisted or detached
+     * @throws Row must still be present (and not soft-deleted)
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example await user.reload()
+     * @returns {PerseestClass} The entity itself
+     */
+    async reload () {
+      assertState(this, 'reload', States.PERSISTED, States.DETACHED)
+      try {
+        const ret = await this.constructor.db.queries.run('reload', new Params({
+          conf: this.constructor.db,
+          entityClass: this.constructor,
+          ent: this
+        }))
+        if (!ret) {
+          markDetached(this)
+          throw new EntityNotFoundError('reload', this)
+        }
+        this[STATE] = States.PERSISTED
+        takeSnapshot(this)
+        return this
       } catch (err) { throw err }
     }
 
-    /** Fetch an entity from the database using an arbitrary identifier
-     * @param {string} key - Identifier column
-     * @param {*} value - Identifier value
+    /** Atomically increment some numeric columns of the entity, i.e. without
+     * reading and writing them back (UPDATE ... SET col = col + n). The new
+     * values are written back to the entity, along with the columns marked
+     * with 'refresh'. Version and update timestamp columns are updated as in
+     * update(), but the version is not checked: if the row was changed
+     * concurrently, the entity is still considered stale
+     * @param {string|object} column - Column to increment, or increments in
+     *   the form { column: n }
+     * @param {number|BigInt} n - Increment (negative to decrement)
+     * @throws Entity must be persisted or detached
+     * @throws Columns must be present and increments must be numbers
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example post.increment('views')
+     * @example post.increment({ likes: 1, dislikes: -1 })
+     * @returns {boolean} true if the entity was updated, false if not found
+     */
+    async increment (column, n = 1) {
+      assertState(this, 'increment', States.PERSISTED, States.DETACHED)
+      const conf = this.constructor.db
+      const amounts = validate.isString(column) ? { [column]: n } : column
+      try {
+        const ret = await conf.queries.run('increment', new Params({
+          conf: conf,
+          entityClass: this.constructor,
+          ent: this,
+          changes: increments(amounts)
+        }))
+        if (ret) {
+          takeSnapshot(this, Object.keys(amounts).concat(
+            conf.columns.withAttribute('refresh'),
+            conf.columns.withAttribute('version'),
+            conf.columns.withAttribute('updatedAt')))
+        } else markDetached(this)
+        return ret
+      } catch (err) { throw err }
+    }
+
+    /** Fetch an entity from the database using an arbitrary identifier,
+     * eventually made of multiple columns (e.g. a composite primary key)
+     * @param {string|Array<String>|object} key - Identifier column(s), an
+     *   object of identifier values or the primary key values
+     * @param {*} value - Identifier value(s), if 'key' contains the columns
+     * @param {object} opt - Optional parameters
+     * @param {boolean} opt.withDeleted - Fetch the entity even if soft-deleted
+     * @param {boolean} opt.onlyDeleted - Fetch the entity only if soft-deleted
      * @throus Key must be a column usable as a univocal identifier
      * @throws Database must raise no errors
      * @throws Hooks must run successfully
+     * @example User.fetch('email', 'homer@simpson.com')
+     * @example Member.fetch(['tenant_id', 'id'], [1, 42])
+     * @example Member.fetch({ tenant_id: 1, id: 42 }, { withDeleted: true })
+     * @example Member.fetch([1, 42]) // Primary key values, in order
      * @returns {*|null} The fetched entity, or null if it does not exist
      */
-    static async fetch (key, value) {
-      if (!this.db.columns.attribute(key, 'id')) { throw new Error(`Field ${key} is not a univocal identifier`) }
-
+    static async fetch (...args) {
+      const { key, kval, rest: [{ withDeleted, onlyDeleted } = {}] } = identify(this, args)
       try {
         return await this.db.queries.run('fetch', new Params({
-          conf: this.db, key: key, kval: value
+          conf: this.db,
+          entityClass: this,
+          key: key,
+          kval: kval,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
         }))
       } catch (err) { throw err }
     }
 
     /** Fetch multiple entities according to a match condition
-     * @param {object} cond - Match condition in the form { column: value }
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters
+     * @param {string|Array} opt.orderBy - Columns to order the entities by,
+     *   eventually given as [column, 'asc'|'desc'] pairs
+     * @param {number} opt.limit - Maximum number of entities to fetch
+     * @param {number} opt.offset - Number of entities to skip
+     * @param {boolean} opt.withDeleted - Include soft-deleted entities
+     * @param {boolean} opt.onlyDeleted - Fetch only soft-deleted entities
+     * @throws Condition must be valid and refer to present columns
+     * @throws Ordering columns must be present
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example User.fetchMany({ role: 'admin', age: { $gte: 18 } })
+     * @example
+     * User.fetchMany({}, { orderBy: [['created', 'desc'], 'name'], limit: 10 })
      * @returns {Array<*>} An array containing the fetched entities
      */
-    static async fetchMany (cond = {}) {
-      const [cols, vals] = Object.entries(cond)
-        .reduce((acc, [k, v]) => [acc[0].concat(k), acc[1].concat(v)], [[], []])
+    static async fetchMany (cond = {}, { orderBy, limit, offset, withDeleted, onlyDeleted } = {}) {
       try {
         return await this.db.queries.run('fetchMany', new Params({
-          conf: this.db, columns: cols, values: vals
+          conf: this.db,
+          entityClass: this,
+          cond: cond,
+          ...equalities(this, cond),
+          orderBy: orderBy,
+          limit: limit,
+          offset: offset,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
+        }))
+      } catch (err) { throw err }
+    }
+
+    /** Count the entities matching a condition
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters
+     * @param {boolean} opt.withDeleted - Count soft-deleted entities too
+     * @param {boolean} opt.onlyDeleted - Count only soft-deleted entities
+     * @throws Condition must be valid and refer to present columns
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example User.count({ role: 'admin' })
+     * @returns {number|BigInt} The number of matching entities, as a BigInt
+     *   only if it is too large to be safely represented as a number
+     */
+    static async count (cond = {}, { withDeleted, onlyDeleted } = {}) {
+      try {
+        return await this.db.queries.run('count', new Params({
+          conf: this.db,
+          entityClass: this,
+          cond: cond,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
         }))
       } catch (err) { throw err }
     }
 
-    /** Remove the entity from the database
+    /** Check if at least one entity matches a condition
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters, as in count()
+     * @throws Condition must be valid and refer to present columns
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example User.exists({ email: 'alice@example.com' })
+     * @returns {boolean} true if some entity matches, false otherwise
+     */
+    static async exists (cond = {}, { withDeleted, onlyDeleted } = {}) {
+      try {
+        return await this.db.queries.run('exists', new Params({
+          conf: this.db,
+          entityClass: this,
+          cond: cond,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
+        }))
+      } catch (err) { throw err }
+    }
+
+    /** Compute aggregate functions (i.e. count, min, max, sum and avg) on the
+     * entities matching a condition, eventually grouping them by some columns.
+     * Results are named after the functions, or are objects keyed by column
+     * if a function is given an array of columns. Numeric results are numbers,
+     * or BigInts for integers which cannot be safely represented as numbers;
+     * min and max are parsed according to the column type
+     * @param {object} aggregates - Functions to compute, in the form
+     *   { function: column|[columns] } ('*' is accepted for count)
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters
+     * @param {string|Array<String>} opt.groupBy - Columns to group the
+     *   entities by
+     * @param {boolean} opt.withDeleted - Include soft-deleted entities
+     * @param {boolean} opt.onlyDeleted - Include only soft-deleted entities
+     * @throws Aggregates must be valid and refer to present columns
+     * @throws Condition must be valid and refer to present columns
+     * @throws Grouping columns must be present
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example
+     * await Order.aggregate({ sum: 'amount', avg: 'score' }, { paid: true })
+     * // { sum: 1250, avg: 4.2 }
+     * @example
+     * await Order.aggregate({ count: '*', max: ['amount', 'score'] }, {},
+     *   { groupBy: 'status' })
+     * // [{ status: 'open', count: 3, max: { amount: 500, score: 5 } }, ...]
+     * @returns {object|Array<Object>} The results, or an array containing the
+     *   results for each group (along with the grouping column values), in
+     *   the order of the grouping columns
+     */
+    static async aggregate (aggregates, cond = {}, { groupBy, withDeleted, onlyDeleted } = {}) {
+      try {
+        return await this.db.queries.run('aggregate', new Params({
+          conf: this.db,
+          entityClass: this,
+          aggregates: aggregates,
+          cond: cond,
+          groupBy: groupBy,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
+        }))
+      } catch (err) { throw err }
+    }
+
+    /** Iterate over the entities matching a condition without loading all of
+     * them in memory, fetching them in batches with a server-side cursor. The
+     * query is generated with the 'fetchMany' generator (hooks are not run),
+     * on a client dedicated to the iteration (or on the client of the active
+     * transaction, if any). The client is released when the iteration ends,
+     * even if it ends early (e.g. with break) or because of an error
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters, as in fetchMany()
+     * @param {number} opt.batchSize - Number of rows fetched at a time
+     * @throws Condition and options must be valid
+     * @throws 'batchSize' must be a positive integer
+     * @throws Database must raise no errors
+     * @example
+     * for await (const user of User.stream({ role: 'admin' }, { batchSize: 500 }))
+     *   exportUser(user)
+     * @returns {AsyncGenerator} An async iterable of entities
+     */
+    static async * stream (cond = {}, { orderBy, limit, offset, withDeleted, onlyDeleted, batchSize = 100 } = {}) {
+      if (!Number.isInteger(batchSize) || batchSize <= 0) { throw new TypeError('\'batchSize\' must be a positive integer') }
+      const params = new Params({
+        conf: this.db,
+        entityClass: this,
+        cond: cond,
+        orderBy: orderBy,
+        limit: limit,
+        offset: offset,
+        withDeleted: withDeleted,
+        onlyDeleted: onlyDeleted
+      })
+      const { text, values } = this.db.queries.get('fetchMany').generate(params)
+      const context = { query: 'stream', entityClass: this }
+      const cursor = `perseest_cursor_${++cursors}`
+
+      const tx = Transaction.current(this.db.pool)
+      let client, broken // Error to release the client with, if broken
+      let closed = false
+      try {
+        client = tx ? tx.client : await this.db.pool.connect()
+        if (!tx) await client.query('BEGIN') // Cursors live in transactions
+        await client.query({ text: `DECLARE ${cursor} NO SCROLL CURSOR FOR ${text}`, values })
+        for (let exhausted = false; !exhausted;) {
+          const { rows } = await client.query(`FETCH FORWARD ${batchSize} FROM ${cursor}`)
+          exhausted = rows.length < batchSize
+          for (const row of rows) yield this.db.hydrate(row, this)
+        }
+        await client.query(tx ? `CLOSE ${cursor}` : 'COMMIT')
+        closed = true
+      } catch (err) {
+        throw this.db.pgError2Error(err, context)
+      } finally {
+        if (client && !closed) { // Iteration ended early or failed
+          await client.query(tx ? `CLOSE ${cursor}` : 'ROLLBACK')
+            .catch(err => { broken = err })
+        }
+        if (client && !tx) client.release(broken)
+      }
+    }
+
+    /** Fetch a page of entities with keyset (i.e. cursor) pagination. The
+     * primary key is always used as the last ordering column, so that entities
+     * with equal values for the other ordering columns are paged consistently
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} opt - Optional parameters
+     * @param {string|Array} opt.orderBy - Columns to order the entities by,
+     *   eventually given as [column, 'asc'|'desc'] pairs. Such columns should
+     *   not contain null values
+     * @param {number} opt.first - Maximum number of entities in the page
+     * @param {string} opt.after - Cursor returned with the previous page
+     * @param {boolean} opt.withDeleted - Include soft-deleted entities
+     * @param {boolean} opt.onlyDeleted - Page only soft-deleted entities
+     * @throws Condition and ordering must be valid
+     * @throws 'first' must be a positive integer
+     * @throws Cursor must have been returned with the same ordering
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example
+     * const { items, pageInfo } = await User.paginate({}, { first: 10 })
+     * if (pageInfo.hasNextPage)
+     *   next = await User.paginate({}, { first: 10, after: pageInfo.endCursor })
+     * @returns {object} An object in the form
+     *   { items, pageInfo: { endCursor, hasNextPage } }, with 'endCursor'
+     *   being null if the page is empty
+     */
+    static async paginate (cond = {}, { orderBy, first = 20, after, withDeleted, onlyDeleted } = {}) {
+      if (!Number.isInteger(first) || first <= 0) { throw new TypeError('\'first\' must be a positive integer') }
+
+      // Use the primary key (all of its columns) as tie-breaker
+      const order = help.normalizeOrder(orderBy, this.db.columns)
+      for (const k of this.db.primaryKeys) {
+        if (!order.some(([c]) => c === k)) { order.push([k, order.length ? order[order.length - 1][1] : 'ASC']) }
+      }
+
+      // Match only the entities following the cursor, i.e. in the form
+      // (c1 > v1) OR (c1 = v1 AND c2 > v2) OR ... (with < for DESC columns)
+      if (after) {
+        const last = help.decodeCursor(after)
+        if (last.length !== order.length || last.some((entry, i) => !validate.isArray(entry) ||
+          entry.length !== 3 || entry[0] !== order[i][0] || entry[1] !== order[i][1])) { throw new Error('Cursor does not match the requested ordering') }
+        cond = {
+          $and: [cond || {}, {
+            $or: order.map(([col, dir], i) => Object.fromEntries(
+              last.slice(0, i).map(([c, d, v]) => [c, v])
+                .concat([[col, { [dir === 'ASC' ? '$gt' : '$lt']: last[i][2] }]])))
+          }]
+        }
+      }
+
+      // Fetch one more entity to know if there is a next page
+      const ents = await this.fetchMany(cond,
+        { orderBy: order, limit: first + 1, withDeleted, onlyDeleted })
+      const items = ents.slice(0, first)
+      const end = items[items.length - 1]
+      return {
+        items,
+        pageInfo: {
+          // Values are serialized by the condition when the cursor is used
+          endCursor: end ? help.encodeCursor(order.map(([c, d]) => [c, d, end[c]])) : null,
+          hasNextPage: ents.length > first
+        }
+      }
+    }
+
+    /** Remove the entity from the database (or mark it as deleted, if soft
+     * delete is enabled). If the class has a version column, the row is
+     * removed only if its version matches the entity one
+     * @throws Entity must not be deleted already
+     * @throws Entity must not be stale (i.e. with a version not matching)
      * @throws Database must raise no errors
      * @throws Hooks must run successfully
      * @returns {boolean} true if the entity was removed, false if not found
+     *   (or never saved)
      */
     async delete () {
-      // Hooks delegated to the static delete function
-      return (!this.exists) ? false : await this.constructor.delete(
-        this.constructor.db.primaryKey,
-        this[this.constructor.db.primaryKey])
+      assertState(this, 'delete', States.NEW, States.PERSISTED, States.DETACHED)
+      if (!this.exists) return false
+
+      return await removeEntity(this, 'delete')
+    }
+
+    /** Remove the entity from the database, even if soft delete is enabled
+     * (in which case soft-deleted entities can be removed too)
+     * @throws Entity must not be new
+     * @throws Entity must not be stale (i.e. with a version not matching)
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @returns {boolean} true if the entity was removed, false if not found
+     */
+    async forceDelete () {
+      assertState(this, 'forceDelete', States.PERSISTED, States.DETACHED, States.DELETED)
+      return await removeEntity(this, 'forceDelete')
+    }
+
+    /** Restore a soft-deleted entity
+     * @throws Soft delete must be enabled
+     * @throws Entity must not be new
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @returns {boolean} true if the entity was restored, false if not found
+     *   among the soft-deleted ones
+     */
+    async restore () {
+      assertState(this, 'restore', States.PERSISTED, States.DETACHED, States.DELETED)
+      const softDelete = this.constructor.db.softDelete
+      if (!softDelete) { throw new Error('Soft delete is not enabled') }
+      try {
+        const ret = await this.constructor.db.queries.run('restore', new Params({
+          conf: this.constructor.db,
+          entityClass: this.constructor,
+          ent: this
+        }))
+        if (ret) {
+          this[STATE] = States.PERSISTED
+          takeSnapshot(this, [softDelete])
+        }
+        return ret
+      } catch (err) { throw err }
     }
 
-    /** Remove a user by arbitrary key-value pair (key must be an identifier)
-     * @param {string} key - Field used as univocal identifier
-     * @param {string} value - Identifier value
+    /** Remove a user by arbitrary key-value pair (key must be an identifier),
+     * with the key given as in fetch()
+     * @param {string|Array<String>|object} key - Field(s) used as univocal
+     *   identifier, an object of identifier values or the primary key values
+     * @param {string} value - Identifier value(s), if 'key' contains the columns
      * @throws Key must be a column usable as univocal identifier
      * @throws Identifier value must be valid
      * @throws Database must raise no errors
      * @throws Hooks must run successfully
      * @returns {boolean} true if the user was removed, false if not found
      */
-    static async delete (key, value) {
-      if (!this.db.columns.attribute(key, 'id')) { throw new Error(`Field ${key} is not a univocal identifier`) }
-
+    static async delete (...args) {
+      const { key, kval } = identify(this, args)
       try {
         return await this.db.queries.run('delete', new Params({
-          conf: this.db, key: key, kval: value
+          conf: this.db, entityClass: this, key: key, kval: kval
+        }))
+      } catch (err) { throw err }
+    }
+
+    /** Update multiple entities according to a match condition, with a single
+     * UPDATE statement. Changes are either values, or objects with one of the
+     * following operators:
+     *   - { $inc: n }: increment the column by n (decrement if negative)
+     *   - { $now: true }: set the column to the current time
+     * Literal values are validated against the column constraints (see
+     * PerseestConfig.validate), and version and timestamp columns are updated
+     * as with update()
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} changes - Changes, in the form { column: change }
+     * @param {object} opt - Optional parameters
+     * @param {boolean} opt.force - Update every entity if the condition is empty
+     * @param {boolean} opt.returning - Return the updated entities instead of
+     *   their number
+     * @param {boolean} opt.withDeleted - Update soft-deleted entities too
+     * @param {boolean} opt.onlyDeleted - Update only soft-deleted entities
+     * @throws Condition must be valid, refer to present columns and not match
+     *   every row (unless forced)
+     * @throws Changes must be valid and refer to present columns
+     * @throws Literal values must satisfy the column constraints
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example
+     * User.updateMany({ role: 'guest' }, {
+     *   role: 'member',
+     *   logins: { $inc: 1 },
+     *   promoted: { $now: true },
+     *   invitation: null
+     * })
+     * @returns {number|Array<*>} The number of updated entities, or the
+     *   updated entities if 'returning' is given
+     */
+    static async updateMany (cond = {}, changes = {}, { force, returning, withDeleted, onlyDeleted } = {}) {
+      if (!force && new Condition(cond, this.db.columns).matchesAll()) { throw new Error('Attempted to call updateMany without an update condition') }
+      if (help.isPlainObject(changes)) {
+        const literals = {}
+        for (const [col, change] of Object.entries(changes)) {
+          if (!help.isOperatorObject(change)) literals[col] = change
+        }
+        const errors = this.db.validate(literals, Object.keys(literals))
+        if (errors) { throw new ValidationError(literals, errors) }
+      }
+
+      try {
+        return await this.db.queries.run('updateMany', new Params({
+          conf: this.db,
+          entityClass: this,
+          cond: cond,
+          changes: changes,
+          force: force,
+          returning: returning,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
+        }))
+      } catch (err) { throw err }
+    }
+
+    /** Atomically increment some numeric columns of the entities matching a
+     * condition, in the same way as updateMany() with $inc changes
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @param {object} amounts - Increments, in the form { column: n }
+     * @param {object} opt - Optional parameters
+     * @param {boolean} opt.force - Update every entity if the condition is empty
+     * @param {boolean} opt.withDeleted - Update soft-deleted entities too
+     * @param {boolean} opt.onlyDeleted - Update only soft-deleted entities
+     * @throws Condition must be valid, refer to present columns and not match
+     *   every row (unless forced)
+     * @throws Columns must be present and increments must be numbers
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
+     * @example Post.increment({ author: 'homer' }, { views: 1 })
+     * @returns {number} The number of updated entities
+     */
+    static async increment (cond = {}, amounts = {}, { force, withDeleted, onlyDeleted } = {}) {
+      if (!force && new Condition(cond, this.db.columns).matchesAll()) { throw new Error('Attempted to call increment without an update condition') }
+      try {
+        return await this.db.queries.run('incrementMany', new Params({
+          conf: this.db,
+          entityClass: this,
+          cond: cond,
+          changes: increments(amounts),
+          force: force,
+          withDeleted: withDeleted,
+          onlyDeleted: onlyDeleted
         }))
       } catch (err) { throw err }
     }
 
     /** Remove multiple users according to a match condition
-     * @param {object} cond - Match condition in the form { column: value }
+     * @param {object} cond - Match condition (see QueryCondition)
+     * @throws Condition must be valid, refer to present columns and not match
+     *   every row
+     * @throws Database must raise no errors
+     * @throws Hooks must run successfully
      * @returns {number} the number of deleted columns
      */
     static async deleteMany (cond = {}) {
-      const [cols, vals] = Object.entries(cond)
-        .reduce((acc, [k, v]) => [acc[0].concat(k), acc[1].concat(v)], [[], []])
-      if (!cols.length) { throw new Error('Attempted to call deleteMany without a delete condition') }
+      if (new Condition(cond, this.db.columns).matchesAll()) { throw new Error('Attempted to call deleteMany without a delete condition') }
       try {
         return await this.db.queries.run('deleteMany', new Params({
-          conf: this.db, columns: cols, values: vals
+          conf: this.db, entityClass: this, cond: cond, ...equalities(this, cond)
         }))
       } catch (err) { throw err }
     }
+
+    /** Entity lifecycle states */
+    static States = States
   }
 
   return PerseestClass
@@ -5,16 +5,20 @@
 const expect = require('expect.js')
 const sinon = require('sinon')
 const { Mock } = require('./help/mock')
-const { range } = require('../lib/helpers')
+const { PerseestClass } = require('../lib/perseest')
+const Config = require('../lib/PerseestConfig')
+const Query = require('../lib/PerseestQuery')
+const errors = require('../lib/errors')
+const { range, quoteIdentifier } = require('../lib/helpers')
 
 // Import environment variables
 require('dotenv').config({ path: './environment/test.env' })
 
 before(async () => {
   Mock.db.setup(process.env.POSTGRES_URI)
-  await Mock.db.pool.query('DROP TABLE Mockies').catch(() => {}) // Ignore errors
+  await Mock.db.pool.query('DROP TABLE "Mockies"').catch(() => {}) // Ignore errors
   await Mock.db.pool.query(
-`CREATE TABLE Mockies(
+`CREATE TABLE "Mockies"(
   id INTEGER PRIMARY KEY, 
   uniq VARCHAR UNIQUE NOT NULL,
   msg VARCHAR,
@@ -23,7 +27,7 @@ before(async () => {
 );
 `)
 
-  await Mock.db.pool.query('DELETE FROM Mockies')
+  await Mock.db.pool.query('DELETE FROM "Mockies"')
 })
 
 after(async () => await Mock.db.cleanup())
@@ -46,6 +50,43 @@ describe('A class extending Perseest.Class', function () {
       }
     })
 
+    it('should be an existent instance of the class', async () => {
+      await mocky.save()
+      const mocky2 = await Mock.fetch('id', mocky.id)
+      expect(mocky2).to.be.a(Mock)
+      expect(mocky2.exists).to.be(true)
+      expect((await Mock.fetchMany({ id: mocky.id }))[0]).to.be.a(Mock)
+    })
+
+    it('should not run the class constructor', async () => {
+      await mocky.save()
+      const nextId = Mock.id
+      await Mock.fetch('id', mocky.id)
+      expect(Mock.id).to.be(nextId)
+    })
+
+    it('should be usable as a persistent entity', async () => {
+      await mocky.save()
+      const mocky2 = await Mock.fetch('id', mocky.id)
+      mocky2.msg = 'fetched and updated'
+      expect(await mocky2.save()).to.be(true) // Falls back to update()
+      expect((await Mock.fetch('id', mocky.id)).msg).to.be('fetched and updated')
+      expect(await mocky2.delete()).to.be(true)
+    })
+
+    it('should be built with a custom factory if given', async () => {
+      const row2Entity = Mock.db.row2Entity
+      Mock.db.row2Entity = (row, Class) => ({ row, Class })
+      try {
+        await mocky.save()
+        const fetched = await Mock.fetch('id', mocky.id)
+        expect(fetched.Class).to.be(Mock)
+        expect(fetched.row.id).to.be(mocky.id)
+      } finally {
+        Mock.db.row2Entity = row2Entity
+      }
+    })
+
     describe('should throw an error', function () {
       specify('on inexistent id column name', done => {
         Mock.fetch('blerulerule', 'DOH!')
@@ -68,6 +109,178 @@ describe('A class extending Perseest.Class', function () {
     })
   })
 
+  describe('lifecycle', function () {
+    const { States } = Mock
+
+    it('should start as new', () => {
+      expect(mocky.lifecycle).to.be(States.NEW)
+      expect(mocky.isNew()).to.be(true)
+      expect(mocky.exists).to.be(false)
+    })
+
+    it('should be persisted after being saved or fetched', async () => {
+      await mocky.save()
+      expect(mocky.isPersisted()).to.be(true)
+      expect((await Mock.fetch('id', mocky.id)).isPersisted()).to.be(true)
+      expect((await Mock.fetchMany({ id: mocky.id }))[0].isPersisted()).to.be(true)
+    })
+
+    it('should be deleted after being removed', async () => {
+      await mocky.save()
+      await mocky.delete()
+      expect(mocky.isDeleted()).to.be(true)
+      expect(mocky.exists).to.be(false)
+    })
+
+    it('should be detached if the row is not found anymore', async () => {
+      await mocky.save()
+      await Mock.delete('id', mocky.id)
+      mocky.msg = 'changed'
+      expect(await mocky.update()).to.be(false)
+      expect(mocky.isDetached()).to.be(true)
+    })
+
+    it('should be detached explicitly', async () => {
+      await mocky.save()
+      mocky.detach()
+      expect(mocky.lifecycle).to.be(States.DETACHED)
+      expect(await mocky.update()).to.be(true)
+      expect(mocky.isPersisted()).to.be(true)
+    })
+
+    it('should not be confused with columns', async () => {
+      await mocky.save()
+      const row = (await Mock.db.pool.query(
+        'SELECT * FROM "Mockies" WHERE id = $1', [mocky.id])).rows[0]
+      expect(Object.keys(row)).to.not.contain('lifecycle')
+      expect(Object.keys(mocky)).to.not.contain('lifecycle')
+    })
+
+    describe('should raise an error', function () {
+      const expectStateError = async (promise, operation) => {
+        try {
+          await promise
+        } catch (err) {
+          expect(err).to.be.an(errors.EntityStateError)
+          expect(err.operation).to.be(operation)
+          return
+        }
+        throw new Error(`${operation} should have thrown an error`)
+      }
+
+      specify('when updating a new entity', () =>
+        expectStateError(mocky.update(), 'update'))
+
+      specify('when updating a deleted entity', async () => {
+        await mocky.save()
+        await mocky.delete()
+        await expectStateError(mocky.update(), 'update')
+      })
+
+      specify('when saving a deleted entity', async () => {
+        await mocky.save()
+        await mocky.delete()
+        await expectStateError(mocky.save(), 'save')
+      })
+
+      specify('when deleting a deleted entity', async () => {
+        await mocky.save()
+        await mocky.delete()
+        await expectStateError(mocky.delete(), 'delete')
+      })
+
+      specify('when detaching a new entity', () =>
+        expect(() => mocky.detach()).to.throwError(err =>
+          expect(err).to.be.an(errors.EntityStateError)))
+    })
+  })
+
+  describe('dirty tracking', function () {
+    beforeEach(() => mocky = new Mock())
+    afterEach(() => Mock.db.flushHooks(null, 'update'))
+
+    it('should consider every column of a new entity changed', () => {
+      expect(mocky.isDirty()).to.be(true)
+      expect(mocky.changedColumns()).to.eql([...Mock.db.columns.keys()])
+    })
+
+    it('should track changes after saving or fetching', async () => {
+      await mocky.save()
+      expect(mocky.isDirty()).to.be(false)
+      mocky.msg = 'changed'
+      expect(mocky.changedColumns()).to.eql(['msg'])
+
+      const fetched = await Mock.fetch('id', mocky.id)
+      expect(fetched.isDirty()).to.be(false)
+      fetched.msg2 = fetched.msg2.slice() // Same value
+      expect(fetched.isDirty()).to.be(false)
+    })
+
+    it('should compare objects by content', async () => {
+      await mocky.save()
+      mocky.msg = new Date(0)
+      await mocky.update('msg')
+      mocky.msg = new Date(0)
+      expect(mocky.isDirty()).to.be(false)
+      mocky.msg.setTime(1)
+      expect(mocky.changedColumns()).to.eql(['msg'])
+    })
+
+    it('should update only the changed columns by default', async () => {
+      const hook = sinon.fake()
+      await mocky.save()
+      Mock.db.addHook('before', 'update', hook)
+      mocky.msg2 = 'changed'
+      expect(await mocky.update()).to.be(true)
+      expect(hook.firstCall.args[0].columns).to.eql(['msg2'])
+      expect(mocky.isDirty()).to.be(false)
+      expect((await Mock.fetch('id', mocky.id)).msg2).to.be('changed')
+    })
+
+    it('should not query the database if nothing changed', async () => {
+      const hook = sinon.fake()
+      await mocky.save()
+      Mock.db.addHook('before', 'update', hook)
+      expect(await mocky.update()).to.be(true)
+      expect(hook.callCount).to.be(0)
+    })
+
+    it('should keep tracking columns not being updated', async () => {
+      await mocky.save()
+      mocky.msg = 'changed'
+      mocky.msg2 = 'changed'
+      await mocky.update('msg2')
+      expect(mocky.changedColumns()).to.eql(['msg'])
+    })
+
+    it('should consider every column of a detached entity changed', async () => {
+      await mocky.save()
+      mocky.detach()
+      expect(mocky.changedColumns()).to.eql([...Mock.db.columns.keys()])
+    })
+  })
+
+  describe('with a schema-qualified, mixed-case table name', function () {
+    let table
+    before(() => {
+      table = Mock.db.table
+      Mock.db.table = 'public.Mockies'
+    })
+    after(() => Mock.db.table = table)
+
+    it('should be saved, fetched and deleted', async () => {
+      const spy = sinon.spy(Mock.db.pool, 'query')
+      try {
+        await mocky.save()
+        expect(spy.args[0][0].text).to.contain('"public"."Mockies"')
+        expect(await Mock.fetch('id', mocky.id)).to.not.be(null)
+        expect(await mocky.delete()).to.be(true)
+      } finally {
+        spy.restore()
+      }
+    })
+  })
+
   describe('when saved', function () {
     specify('should be successful if consistent', async () => {
       try {
@@ -102,6 +315,46 @@ describe('A class extending Perseest.Class', function () {
       })
     })
 
+    describe('should map database errors', function () {
+      specify('for unique violations', async () => {
+        await mocky.save()
+        const copy = new Mock({ uniq: mocky.uniq })
+        await copy.save()
+          .then(() => { throw new Error('User should not have been saved') })
+          .catch(err => {
+            expect(err).to.be.an(errors.UniqueViolationError)
+            expect(err.query).to.be('save')
+            expect(err.entityClass).to.be(Mock)
+            expect(err.column).to.be('uniq')
+            expect(err.constraint).to.be.a('string')
+          })
+      })
+
+      specify('for not null violations', async () => {
+        mocky.uniq = null
+        await mocky.save()
+          .then(() => { throw new Error('User should not have been saved') })
+          .catch(err => {
+            expect(err).to.be.an(errors.NotNullViolationError)
+            expect(err.column).to.be('uniq')
+          })
+      })
+    })
+
+    it('should wrap errors raised by hooks', async () => {
+      const failure = new Error('Failing hook')
+      Mock.db.addHook('before', 'save', () => { throw failure })
+      try {
+        await mocky.save()
+          .then(() => { throw new Error('User should not have been saved') })
+          .catch(err => {
+            expect(err).to.be.an(errors.HookError)
+            expect(err.cause).to.be(failure)
+            expect(err.when).to.be('before')
+          })
+      } finally { Mock.db.flushHooks(null, 'save') }
+    })
+
     it('should fall back to update() if existent', async () => {
       const fake = sinon.fake.resolves(true)
       sinon.replace(mocky, 'update', fake)
@@ -111,6 +364,11 @@ describe('A class extending Perseest.Class', function () {
       sinon.restore()
     })
 
+    it('should populate columns assigned by the database', async () => {
+      await mocky.save()
+      expect(mocky.ser).to.be.a('number')
+    })
+
     it('should not try to write columns marked as serial', async () => {
       const spy = sinon.spy(Mock.db.pool, 'query')
       mocky.ser = 123
@@ -238,6 +496,182 @@ describe('A class extending Perseest.Class', function () {
     })
   })
 
+  describe('when upserted', function () {
+    it('should be inserted if not present', async () => {
+      expect(await mocky.upsert()).to.be(true)
+      expect(mocky.exists).to.be(true)
+      expect(mocky.ser).to.be.a('number')
+      expect(await Mock.fetch('id', mocky.id)).to.not.be(null)
+    })
+
+    it('should overwrite the conflicting row if present', async () => {
+      await mocky.save()
+      const copy = new Mock({ id: mocky.id, uniq: mocky.uniq, msg: 'upserted' })
+      expect(await copy.upsert()).to.be(true)
+      expect(copy.exists).to.be(true)
+      expect(copy.ser).to.be(mocky.ser)
+      const fetched = await Mock.fetch('id', mocky.id)
+      expect(fetched.msg).to.be('upserted')
+      expect(fetched.msg2).to.be(copy.msg2)
+    })
+
+    it('should detect conflicts on the given target', async () => {
+      await mocky.save()
+      const copy = new Mock({ uniq: mocky.uniq, msg: 'upserted' })
+      expect(await copy.upsert({ conflict: 'uniq', overwrite: 'msg' })).to.be(true)
+      expect(copy.id).to.be(mocky.id)
+      expect((await Mock.fetch('uniq', mocky.uniq)).msg).to.be('upserted')
+    })
+
+    it('should overwrite only the given columns', async () => {
+      await mocky.save()
+      const copy = new Mock({ id: mocky.id, msg: 'new1', msg2: 'new2' })
+      await copy.upsert({ overwrite: ['msg'] })
+      const fetched = await Mock.fetch('id', mocky.id)
+      expect(fetched.msg).to.be('new1')
+      expect(fetched.msg2).to.be(mocky.msg2)
+      expect(fetched.uniq).to.be(mocky.uniq)
+      expect(copy.msg2).to.be(mocky.msg2) // Existing values are written back
+    })
+
+    describe('should throw an error', function () {
+      specify('with a conflict target not being an identifier', done => {
+        mocky.upsert({ conflict: 'msg' })
+          .then(() => done(new Error('upsert should have thrown an error')))
+          .catch(() => done())
+      })
+
+      specify('with overwritten columns not being present', done => {
+        mocky.upsert({ overwrite: ['doh'] })
+          .then(() => done(new Error('upsert should have thrown an error')))
+          .catch(() => done())
+      })
+
+      specify('if the entity is deleted', async () => {
+        await mocky.save()
+        await mocky.delete()
+        await mocky.upsert()
+          .then(() => { throw new Error('upsert should have thrown an error') })
+          .catch(err => expect(err).to.be.an(errors.EntityStateError))
+      })
+    })
+  })
+
+  describe('when reloaded', function () {
+    beforeEach(async () => await mocky.save())
+
+    it('should refresh every column and reset the dirty state', async () => {
+      const other = await Mock.fetch('id', mocky.id)
+      other.msg = 'changed'
+      await other.update()
+      mocky.msg2 = 'discarded'
+      expect(await mocky.reload()).to.be(mocky)
+      expect(mocky.msg).to.be('changed')
+      expect(mocky.msg2).to.be(other.msg2)
+      expect(mocky.isDirty()).to.be(false)
+    })
+
+    it('should make a detached entity persisted again', async () => {
+      mocky.detach()
+      await mocky.reload()
+      expect(mocky.isPersisted()).to.be(true)
+      expect(mocky.isDirty()).to.be(false)
+    })
+
+    it('should run the reload hooks', async () => {
+      const hook = sinon.fake()
+      Mock.db.addHook('after', 'reload', hook)
+      try {
+        await mocky.reload()
+      } finally { Mock.db.flushHooks(null, 'reload') }
+      expect(hook.firstCall.args[0].ent).to.be(mocky)
+    })
+
+    describe('should throw an error', function () {
+      specify('if the row was removed, detaching the entity', async () => {
+        await Mock.delete('id', mocky.id)
+        await mocky.reload()
+          .then(() => { throw new Error('reload should have thrown an error') })
+          .catch(err => {
+            expect(err).to.be.an(errors.EntityNotFoundError)
+            expect(err.entity).to.be(mocky)
+          })
+        expect(mocky.isDetached()).to.be(true)
+      })
+
+      specify('with an entity not persisted', done => {
+        new Mock().reload()
+          .then(() => done(new Error('reload should have thrown an error')))
+          .catch(err => done(err instanceof errors.EntityStateError ? undefined : err))
+      })
+    })
+  })
+
+  describe('when incremented', function () {
+    beforeEach(async () => await mocky.save())
+
+    it('should add to the column in the database and write it back', async () => {
+      const ser = mocky.ser
+      expect(await mocky.increment('ser', 5)).to.be(true)
+      expect(mocky.ser).to.be(ser + 5)
+      expect(mocky.isDirty()).to.be(false)
+      expect((await Mock.fetch('id', mocky.id)).ser).to.be(ser + 5)
+    })
+
+    it('should increment by one by default, or by many columns at once', async () => {
+      const ser = mocky.ser
+      await mocky.increment('ser')
+      expect(mocky.ser).to.be(ser + 1)
+      await mocky.increment({ ser: -3 })
+      expect(mocky.ser).to.be(ser - 2)
+    })
+
+    it('should not lose concurrent increments', async () => {
+      const ser = mocky.ser
+      const copies = await Promise.all([1, 2, 3].map(() => Mock.fetch('id', mocky.id)))
+      await Promise.all(copies.map(c => c.increment('ser', 2)))
+      expect((await Mock.fetch('id', mocky.id)).ser).to.be(ser + 6)
+    })
+
+    it('should leave the other columns untouched', async () => {
+      const other = await Mock.fetch('id', mocky.id)
+      other.msg = 'changed'
+      await other.update()
+      mocky.msg2 = 'local'
+      await mocky.increment('ser')
+      expect(mocky.msg).to.not.be('changed')
+      expect(mocky.changedColumns()).to.eql(['msg2'])
+      expect((await Mock.fetch('id', mocky.id)).msg).to.be('changed')
+    })
+
+    it('should run the increment hooks', async () => {
+      const hook = sinon.fake()
+      Mock.db.addHook('before', 'increment', hook)
+      try {
+        await mocky.increment('ser')
+      } finally { Mock.db.flushHooks(null, 'increment') }
+      expect(hook.firstCall.args[0].changes).to.eql({ ser: { $inc: 1 } })
+    })
+
+    it('should return false and detach the entity if not found', async () => {
+      await Mock.db.pool.query(`DELETE FROM "Mockies" WHERE id = ${mocky.id}`)
+      expect(await mocky.increment('ser')).to.be(false)
+      expect(mocky.isDetached()).to.be(true)
+    })
+
+    describe('should throw an error', function () {
+      [['with a new entity', () => new Mock().increment('ser')],
+        ['with a column not present', () => mocky.increment('doh')],
+        ['with a non-numeric increment', () => mocky.increment('ser', '1')],
+        ['with no increments', () => mocky.increment({})]
+      ].forEach(([testCase, fn]) => specify(testCase, done => {
+        fn()
+          .then(() => done(new Error('increment should have thrown an error')))
+          .catch(() => done())
+      }))
+    })
+  })
+
   describe('when deleted', function () {
     specify('by existent id should return true and be removed', async () => {
       try {
@@ -282,11 +716,749 @@ describe('A class extending Perseest.Class', function () {
     })
   })
 
+  describe('with typed columns', function () {
+    class Typed extends PerseestClass {
+      static db = new Config('Typed', 'id', {
+        id: { type: 'bigint' },
+        amount: { type: 'numeric' },
+        data: { type: 'json' },
+        flag: { type: 'boolean' },
+        uid: { type: 'uuid' },
+        day: { type: 'date' },
+        tags: { serialize: v => v.join(','), parse: v => v.split(',') },
+        price: { serialize: v => Math.round(v * 100), parse: v => v / 100 }
+      })
+    }
+
+    let typed
+    before(async () => {
+      Typed.db.pool = Mock.db.pool
+      await Typed.db.pool.query('DROP TABLE IF EXISTS "Typed"')
+      await Typed.db.pool.query(`CREATE TABLE "Typed"(
+        id BIGINT PRIMARY KEY,
+        amount NUMERIC,
+        data JSONB,
+        flag BOOLEAN,
+        uid UUID,
+        day TIMESTAMPTZ,
+        tags TEXT,
+        price INTEGER
+      )`)
+    })
+    after(() => Typed.db.pool.query('DROP TABLE "Typed"'))
+
+    beforeEach(async () => {
+      await Typed.db.pool.query('DELETE FROM "Typed"')
+      typed = Object.assign(new Typed(), {
+        id: 9007199254740993n,
+        amount: 12.5,
+        data: [1, { a: 2 }],
+        flag: true,
+        uid: '0C2E4B1A-1D2F-4B5E-8A9C-0D1E2F3A4B5C',
+        day: new Date('2020-05-01T10:00:00Z'),
+        tags: ['a', 'b']
+      })
+    })
+
+    it('should serialize and parse column values', async () => {
+      await typed.save()
+      const fetched = await Typed.fetch('id', typed.id)
+      expect(fetched.id).to.be(typed.id)
+      expect(fetched.amount).to.be(12.5)
+      expect(fetched.data).to.eql(typed.data)
+      expect(fetched.flag).to.be(true)
+      expect(fetched.uid).to.be(typed.uid.toLowerCase())
+      expect(fetched.day.getTime()).to.be(typed.day.getTime())
+      expect(fetched.tags).to.eql(['a', 'b'])
+    })
+
+    it('should serialize values in conditions', async () => {
+      await typed.save()
+      const many = await Typed.fetchMany({
+        id: { $in: [typed.id, 1n] },
+        data: typed.data,
+        tags: ['a', 'b']
+      })
+      expect(many).to.have.length(1)
+      expect(await Typed.deleteMany({ id: typed.id })).to.be(1)
+    })
+
+    it('should serialize cursor values only once when paginating', async () => {
+      await Typed.saveMany([3n, 1n, 2n].map(id =>
+        Object.assign(new Typed(), { id, tags: ['t'], price: Number(id) + 0.25 })))
+      const first = await Typed.paginate({}, { orderBy: 'price', first: 2 })
+      expect(first.items.map(t => t.price)).to.eql([1.25, 2.25])
+      const next = await Typed.paginate({},
+        { orderBy: 'price', first: 2, after: first.pageInfo.endCursor })
+      expect(next.items.map(t => t.id)).to.eql([3n])
+      expect(next.pageInfo.hasNextPage).to.be(false)
+    })
+
+    it('should fail to save invalid values', done => {
+      typed.uid = 'not-a-uuid'
+      typed.save()
+        .then(() => done(new Error('Entity should not have been saved')))
+        .catch(() => done())
+    })
+  })
+
+  describe('with database-assigned values', function () {
+    class Defaulted extends PerseestClass {
+      static db = new Config('Defaulted', 'id', {
+        id: { serial: true },
+        name: {},
+        status: {},
+        touched: { refresh: true }
+      })
+    }
+
+    before(async () => {
+      Defaulted.db.pool = Mock.db.pool
+      await Defaulted.db.pool.query('DROP TABLE IF EXISTS "Defaulted"')
+      await Defaulted.db.pool.query(`CREATE TABLE "Defaulted"(
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        status TEXT DEFAULT 'active',
+        touched INTEGER NOT NULL DEFAULT 0
+      )`)
+      await Defaulted.db.pool.query(`CREATE FUNCTION touch() RETURNS trigger AS $$
+        BEGIN NEW.touched := OLD.touched + 1; RETURN NEW; END
+      $$ LANGUAGE plpgsql`)
+      await Defaulted.db.pool.query(`CREATE TRIGGER touch BEFORE UPDATE
+        ON "Defaulted" FOR EACH ROW EXECUTE PROCEDURE touch()`)
+    })
+    after(async () => {
+      await Defaulted.db.pool.query('DROP TABLE "Defaulted"')
+      await Defaulted.db.pool.query('DROP FUNCTION touch')
+    })
+
+    it('should populate serial and default columns on save', async () => {
+      const ent = Object.assign(new Defaulted(), { name: 'abc' })
+      expect(await ent.save()).to.be(true)
+      expect(ent.id).to.be.a('number')
+      expect(ent.status).to.be('active')
+      expect(ent.touched).to.be(0)
+    })
+
+    it('should save entities with no defined column values', async () => {
+      const ent = new Defaulted()
+      expect(await ent.save()).to.be(true)
+      expect(ent.id).to.be.a('number')
+      expect(ent.name).to.be(null)
+    })
+
+    it('should populate columns marked with \'refresh\' on update', async () => {
+      const ent = Object.assign(new Defaulted(), { name: 'abc' })
+      await ent.save()
+      ent.name = 'def'
+      await ent.update('name')
+      expect(ent.touched).to.be(1)
+      await ent.update('name')
+      expect(ent.touched).to.be(2)
+    })
+  })
+
+  describe('with a version column', function () {
+    class Versioned extends PerseestClass {
+      static db = new Config('Versioned', 'id', {
+        id: { serial: true },
+        name: {},
+        views: {},
+        version: { version: true }
+      })
+    }
+    const create = name => Object.assign(new Versioned(), { name })
+
+    before(async () => {
+      Versioned.db.pool = Mock.db.pool
+      await Versioned.db.pool.query('DROP TABLE IF EXISTS "Versioned"')
+      await Versioned.db.pool.query(`CREATE TABLE "Versioned"(
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        views INTEGER DEFAULT 0,
+        version INTEGER
+      )`)
+    })
+    after(() => Versioned.db.pool.query('DROP TABLE "Versioned"'))
+
+    it('should initialize the version on save', async () => {
+      const ent = create('abc')
+      await ent.save()
+      expect(ent.version).to.be(1)
+      expect((await Versioned.fetch('id', ent.id)).version).to.be(1)
+    })
+
+    it('should increment the version on update', async () => {
+      const ent = create('abc')
+      await ent.save()
+      ent.name = 'def'
+      expect(await ent.update()).to.be(true)
+      expect(ent.version).to.be(2)
+      expect(ent.isDirty()).to.be(false)
+      expect((await Versioned.fetch('id', ent.id)).version).to.be(2)
+    })
+
+    it('should not update a stale entity', async () => {
+      const ent = create('abc')
+      await ent.save()
+      const other = await Versioned.fetch('id', ent.id)
+      other.name = 'other'
+      await other.update()
+
+      ent.name = 'def'
+      await ent.update()
+        .then(() => { throw new Error('update should have thrown an error') })
+        .catch(err => {
+          expect(err).to.be.an(errors.StaleEntityError)
+          expect(err.entity).to.be(ent)
+          expect(err.version).to.be(1)
+        })
+      expect(ent.isDetached()).to.be(true)
+      expect((await Versioned.fetch('id', ent.id)).name).to.be('other')
+    })
+
+    it('should increment versions on bulk updates', async () => {
+      const ent = create('abc')
+      await ent.save()
+      expect(await Versioned.updateMany({ id: ent.id }, { name: 'def' })).to.be(1)
+      expect((await Versioned.fetch('id', ent.id)).version).to.be(2)
+      ent.name = 'ghi'
+      await ent.update()
+        .then(() => { throw new Error('update should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+    })
+
+    it('should bump the version on increments without checking it', async () => {
+      const ent = create('abc')
+      await ent.save()
+      expect(await ent.increment('views')).to.be(true)
+      expect(ent.version).to.be(2)
+      ent.name = 'def'
+      expect(await ent.update()).to.be(true) // Not stale
+
+      const other = await Versioned.fetch('id', ent.id)
+      other.name = 'other'
+      await other.update()
+      expect(await ent.increment('views')).to.be(true)
+      expect(ent.views).to.be(2)
+      expect(ent.version).to.be(3) // Still stale
+      ent.name = 'ghi'
+      await ent.update()
+        .then(() => { throw new Error('update should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+    })
+
+    it('should not update an entity removed concurrently', async () => {
+      const ent = create('abc')
+      await ent.save()
+      await Versioned.delete('id', ent.id)
+      ent.name = 'def'
+      await ent.update()
+        .then(() => { throw new Error('update should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+    })
+
+    it('should not delete a stale entity', async () => {
+      const ent = create('abc')
+      await ent.save()
+      const other = await Versioned.fetch('id', ent.id)
+      other.name = 'other'
+      await other.update()
+
+      await ent.delete()
+        .then(() => { throw new Error('delete should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+      expect(await Versioned.fetch('id', ent.id)).to.not.be(null)
+      expect(await other.delete()).to.be(true)
+      expect(await Versioned.fetch('id', ent.id)).to.be(null)
+    })
+
+    it('should increment the version when upserting an existing row', async () => {
+      const ent = create('abc')
+      await ent.save()
+      const copy = Object.assign(create('def'), { id: ent.id })
+      await copy.upsert()
+      expect(copy.version).to.be(2)
+    })
+  })
+
+  describe('with validation constraints', function () {
+    class Valid extends Mock {
+      static db = new Config('Mockies', 'id', [
+        'msg',
+        ['msg2', { validate: { length: { minimum: 3 } } }],
+        ['uniq', { id: true, validate: v => String(v).includes(' ') ? 'Uniq cannot contain spaces' : null }],
+        ['ser', { serial: true }]
+      ], { validate: { msg: { presence: { allowEmpty: false } } } })
+    }
+    let ent
+
+    before(() => Valid.db.pool = Mock.db.pool)
+    beforeEach(() => ent = new Valid())
+    afterEach(() => Valid.db.flushHooks())
+
+    const expectInvalid = (promise, columns) => promise
+      .then(() => { throw new Error('Validation should have failed') })
+      .catch(err => {
+        expect(err).to.be.an(errors.ValidationError)
+        expect(err.entity).to.be(ent)
+        expect(Object.keys(err.errors).sort()).to.eql(columns)
+      })
+
+    it('should save valid entities', async () =>
+      expect(await ent.save()).to.be(true))
+
+    it('should not bulk update with invalid values', async () => {
+      await ent.save()
+      await Valid.updateMany({ id: ent.id }, { msg2: 'ab', uniq: { $inc: 1 } })
+        .then(() => { throw new Error('Validation should have failed') })
+        .catch(err => {
+          expect(err).to.be.an(errors.ValidationError)
+          expect(Object.keys(err.errors)).to.eql(['msg2'])
+        })
+      expect(await Valid.updateMany({ id: ent.id }, { msg2: 'abc' })).to.be(1)
+    })
+
+    it('should not save invalid entities', async () => {
+      const hook = sinon.fake()
+      Valid.db.addHook('before', 'save', hook)
+      ent.msg = ''
+      ent.msg2 = 'ab'
+      ent.uniq = 'a b'
+      await expectInvalid(ent.save(), ['msg', 'msg2', 'uniq'])
+      expect(hook.callCount).to.be(0)
+      expect(ent.isNew()).to.be(true)
+      expect(await Valid.fetch('id', ent.id)).to.be(null)
+    })
+
+    it('should validate only the updated columns', async () => {
+      await ent.save()
+      ent.msg = ''
+      ent.msg2 = 'abcd'
+      expect(await ent.update('msg2')).to.be(true)
+      await expectInvalid(ent.update(), ['msg'])
+    })
+
+    it('should validate upserted entities', async () => {
+      ent.msg2 = 'ab'
+      await expectInvalid(ent.upsert(), ['msg2'])
+      await expectInvalid(Valid.upsertMany([new Valid(), ent]), ['msg2'])
+    })
+
+    it('should not save many entities if any is invalid', async () => {
+      const other = new Valid()
+      ent.msg = null
+      await expectInvalid(Valid.saveMany([other, ent]), ['msg'])
+      expect(await Valid.fetch('id', other.id)).to.be(null)
+    })
+  })
+
+  describe('with timestamp columns', function () {
+    const columns = {
+      id: { serial: true },
+      name: {},
+      created_at: { createdAt: true, type: 'date' },
+      updated_at: { updatedAt: true, type: 'date' }
+    }
+    let time
+    class Stamped extends PerseestClass {
+      static db = new Config('Stamped', 'id', columns)
+    }
+    class Clocked extends PerseestClass {
+      static db = new Config('Stamped', 'id', columns, { clock: () => time })
+    }
+    const create = (Class, name) => Object.assign(new Class(), { name })
+
+    before(async () => {
+      Stamped.db.pool = Clocked.db.pool = Mock.db.pool
+      await Stamped.db.pool.query('DROP TABLE IF EXISTS "Stamped"')
+      await Stamped.db.pool.query(`CREATE TABLE "Stamped"(
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        created_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ
+      )`)
+    })
+    beforeEach(() => time = new Date('2020-01-01T00:00:00Z'))
+    after(() => Stamped.db.pool.query('DROP TABLE "Stamped"'))
+
+    it('should fill timestamps on save with the database time', async () => {
+      const ent = create(Stamped, 'abc')
+      await ent.save()
+      expect(ent.created_at).to.be.a(Date)
+      expect(ent.updated_at.getTime()).to.be(ent.created_at.getTime())
+      expect(Math.abs(Date.now() - ent.created_at.getTime())).to.be.lessThan(60000)
+    })
+
+    it('should fill timestamps on save with the clock time', async () => {
+      const ent = Object.assign(create(Clocked, 'abc'), { created_at: new Date(0) })
+      await ent.save()
+      expect(ent.created_at).to.eql(time)
+      expect(ent.updated_at).to.eql(time)
+      expect((await Clocked.fetch('id', ent.id)).created_at).to.eql(time)
+    })
+
+    it('should not update creation timestamps alone', async () => {
+      class Created extends PerseestClass {
+        static db = new Config('Stamped', 'id', {
+          id: { serial: true },
+          name: {},
+          created_at: { createdAt: true, type: 'date' }
+        })
+      }
+      Created.db.pool = Mock.db.pool
+      const ent = create(Created, 'abc')
+      await ent.save()
+      const created = ent.created_at
+      ent.created_at = new Date(0)
+      expect(await ent.update('created_at')).to.be(true)
+      expect(await ent.update()).to.be(true)
+      expect((await Created.fetch('id', ent.id)).created_at).to.eql(created)
+    })
+
+    it('should touch only the update timestamp on update', async () => {
+      const ent = create(Clocked, 'abc')
+      await ent.save()
+      time = new Date('2021-01-01T00:00:00Z')
+      ent.name = 'def'
+      ent.created_at = new Date(0)
+      await ent.update()
+      expect(ent.updated_at).to.eql(time)
+      const fetched = await Clocked.fetch('id', ent.id)
+      expect(fetched.created_at).to.eql(new Date('2020-01-01T00:00:00Z'))
+      expect(fetched.updated_at).to.eql(time)
+    })
+
+    it('should touch the update timestamp on bulk updates', async () => {
+      const ent = create(Clocked, 'abc')
+      await ent.save()
+      time = new Date('2021-01-01T00:00:00Z')
+      const [updated] = await Clocked.updateMany({ id: ent.id }, { name: 'def' },
+        { returning: true })
+      expect(updated.created_at).to.eql(new Date('2020-01-01T00:00:00Z'))
+      expect(updated.updated_at).to.eql(time)
+      await Clocked.updateMany({ id: ent.id }, { created_at: new Date(0) })
+        .then(() => { throw new Error('updateMany should have thrown an error') })
+        .catch(err => expect(err.message).to.match(/created_at/))
+    })
+
+    it('should fill timestamps when saving and upserting many entities', async () => {
+      const ents = ['a', 'b'].map(n => create(Clocked, n))
+      await Clocked.saveMany(ents)
+      expect(ents.every(e => e.created_at.getTime() === time.getTime())).to.be(true)
+
+      time = new Date('2021-01-01T00:00:00Z')
+      const copies = ents.map(e => Object.assign(create(Clocked, 'x'), { id: e.id }))
+      await Clocked.upsertMany(copies)
+      for (const e of copies) {
+        expect(e.created_at).to.eql(new Date('2020-01-01T00:00:00Z'))
+        expect(e.updated_at).to.eql(time)
+      }
+    })
+  })
+
+  describe('with soft delete enabled', function () {
+    class Soft extends PerseestClass {
+      static db = new Config('Soft', 'id', {
+        id: { serial: true },
+        name: {}
+      }, { softDelete: 'deleted_at' })
+    }
+    const create = name => Object.assign(new Soft(), { name })
+    let ents
+
+    before(async () => {
+      Soft.db.pool = Mock.db.pool
+      await Soft.db.pool.query('DROP TABLE IF EXISTS "Soft"')
+      await Soft.db.pool.query(`CREATE TABLE "Soft"(
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        deleted_at TIMESTAMPTZ
+      )`)
+    })
+    beforeEach(async () => {
+      await Soft.db.pool.query('DELETE FROM "Soft"')
+      ents = ['a', 'b', 'c', 'd'].map(create)
+      await Soft.saveMany(ents)
+    })
+    after(() => Soft.db.pool.query('DROP TABLE "Soft"'))
+
+    it('should mark deleted entities instead of removing them', async () => {
+      expect(await ents[0].delete()).to.be(true)
+      expect(ents[0].isDeleted()).to.be(true)
+      expect(ents[0].deleted_at).to.be.a(Date)
+      expect(await Soft.fetch('id', ents[0].id)).to.be(null)
+      expect(await Soft.fetch('id', ents[0].id, { withDeleted: true })).to.not.be(null)
+      const res = await Soft.db.pool.query('SELECT * FROM "Soft"')
+      expect(res.rowCount).to.be(4)
+    })
+
+    it('should not reload entities soft-deleted concurrently', async () => {
+      await Soft.delete('id', ents[0].id)
+      await ents[0].reload()
+        .then(() => { throw new Error('reload should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.EntityNotFoundError))
+    })
+
+    it('should not delete a soft-deleted entity again', async () => {
+      await Soft.delete('id', ents[0].id)
+      expect(await Soft.delete('id', ents[0].id)).to.be(false)
+    })
+
+    it('should mark matching entities when deleting many', async () => {
+      expect(await Soft.deleteMany({ name: { $in: ['a', 'b'] } })).to.be(2)
+      expect(await Soft.deleteMany({ name: { $in: ['a', 'b', 'c'] } })).to.be(1)
+      expect(await Soft.fetchMany()).to.have.length(1)
+    })
+
+    it('should scope fetched entities', async () => {
+      await Soft.deleteMany({ name: { $in: ['a', 'b'] } })
+      const names = async opt =>
+        (await Soft.fetchMany({ $or: [{ name: 'a' }, { name: 'd' }] },
+          Object.assign({ orderBy: 'name' }, opt))).map(e => e.name)
+      expect(await names()).to.eql(['d'])
+      expect(await names({ withDeleted: true })).to.eql(['a', 'd'])
+      expect(await names({ onlyDeleted: true })).to.eql(['a'])
+      expect(await Soft.fetch('id', ents[3].id, { onlyDeleted: true })).to.be(null)
+    })
+
+    it('should not bulk update soft-deleted entities by default', async () => {
+      await ents[0].delete()
+      expect(await Soft.updateMany({}, { name: 'x' }, { force: true })).to.be(3)
+      expect(await Soft.updateMany({ name: 'a' }, { name: 'y' },
+        { onlyDeleted: true })).to.be(1)
+    })
+
+    it('should scope counts and aggregates', async () => {
+      await Soft.deleteMany({ name: { $in: ['a', 'b'] } })
+      expect(await Soft.count()).to.be(2)
+      expect(await Soft.count({}, { onlyDeleted: true })).to.be(2)
+      expect(await Soft.exists({ name: 'a' })).to.be(false)
+      expect(await Soft.exists({ name: 'a' }, { withDeleted: true })).to.be(true)
+      expect(await Soft.aggregate({ min: 'name' }, {}, { withDeleted: true }))
+        .to.eql({ min: 'a' })
+    })
+
+    it('should restore soft-deleted entities', async () => {
+      await ents[0].delete()
+      expect(await ents[0].restore()).to.be(true)
+      expect(ents[0].isPersisted()).to.be(true)
+      expect(ents[0].deleted_at).to.be(null)
+      expect(ents[0].isDirty()).to.be(false)
+      expect(await Soft.fetch('id', ents[0].id)).to.not.be(null)
+      expect(await ents[1].restore()).to.be(false)
+    })
+
+    it('should remove entities when forced to', async () => {
+      await ents[0].delete()
+      expect(await ents[0].forceDelete()).to.be(true)
+      expect(await ents[1].forceDelete()).to.be(true)
+      expect(await Soft.fetchMany({}, { withDeleted: true })).to.have.length(2)
+    })
+
+    it('should not update or increment soft-deleted rows', async () => {
+      const copy = await Soft.fetch('id', ents[0].id)
+      await ents[0].delete()
+      copy.name = 'x'
+      expect(await copy.update()).to.be(false)
+      expect(copy.isDetached()).to.be(true)
+      const row = await Soft.fetch('id', ents[0].id, { withDeleted: true })
+      expect(row.name).to.be('a')
+      expect(row.deleted_at).to.be.a(Date)
+    })
+
+    it('should restore soft-deleted rows on upsert', async () => {
+      await Soft.deleteMany({ name: { $in: ['a', 'b'] } })
+      const copy = Object.assign(new Soft(), { id: ents[0].id, name: 'x' })
+      expect(await copy.upsert()).to.be(true)
+      expect(copy.deleted_at).to.be(null)
+      expect((await Soft.fetch('id', ents[0].id)).name).to.be('x')
+      const copies = [Object.assign(new Soft(), { id: ents[1].id, name: 'y' })]
+      expect(await Soft.upsertMany(copies)).to.be(1)
+      expect((await Soft.fetch('id', ents[1].id)).name).to.be('y')
+    })
+
+    describe('along with a version column', function () {
+      class SoftVersioned extends PerseestClass {
+        static db = new Config('SoftVersioned', 'id', {
+          id: { serial: true },
+          name: {},
+          views: {},
+          version: { version: true }
+        }, { softDelete: 'deleted_at' })
+      }
+      let ent, copy
+
+      before(async () => {
+        SoftVersioned.db.pool = Mock.db.pool
+        await SoftVersioned.db.pool.query('DROP TABLE IF EXISTS "SoftVersioned"')
+        await SoftVersioned.db.pool.query(`CREATE TABLE "SoftVersioned"(
+          id SERIAL PRIMARY KEY,
+          name TEXT,
+          views INTEGER DEFAULT 0,
+          version INTEGER,
+          deleted_at TIMESTAMPTZ
+        )`)
+      })
+      beforeEach(async () => {
+        ent = Object.assign(new SoftVersioned(), { name: 'a' })
+        await ent.save()
+        copy = await SoftVersioned.fetch('id', ent.id)
+        await ent.delete()
+      })
+      after(() => SoftVersioned.db.pool.query('DROP TABLE "SoftVersioned"'))
+
+      const row = () => SoftVersioned.fetch('id', ent.id, { withDeleted: true })
+
+      it('should bump the version on soft delete', async () => {
+        expect(ent.version).to.be(2)
+        expect(ent.isDirty()).to.be(false)
+        expect((await row()).version).to.be(2)
+      })
+
+      it('should not update soft-deleted rows through stale entities', async () => {
+        copy.name = 'x'
+        await copy.update()
+          .then(() => { throw new Error('update should have thrown an error') })
+          .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+        const { name, version, deleted_at: deletedAt } = await row()
+        expect([name, version]).to.eql(['a', 2])
+        expect(deletedAt).to.be.a(Date)
+      })
+
+      it('should not increment soft-deleted rows', async () => {
+        expect(await copy.increment('views')).to.be(false)
+        expect((await row()).views).to.be(0)
+      })
+
+      it('should update restored entities', async () => {
+        expect(await ent.restore()).to.be(true)
+        ent.name = 'b'
+        expect(await ent.update()).to.be(true)
+        expect(ent.version).to.be(3)
+      })
+    })
+
+    it('should not restore entities if soft delete is not enabled', done => {
+      mocky.save()
+        .then(() => mocky.restore())
+        .then(() => done(new Error('restore should have thrown an error')))
+        .catch(() => done())
+    })
+  })
+
+  describe('with a composite primary key', function () {
+    class Member extends PerseestClass {
+      static db = new Config('Members', ['tenant_id', 'id'], {
+        name: {},
+        version: { version: true }
+      })
+    }
+    const create = (tenant, id, name) =>
+      Object.assign(new Member(), { tenant_id: tenant, id, name })
+    let ents
+
+    before(async () => {
+      Member.db.pool = Mock.db.pool
+      await Member.db.pool.query('DROP TABLE IF EXISTS "Members"')
+      await Member.db.pool.query(`CREATE TABLE "Members"(
+        tenant_id INTEGER,
+        id INTEGER,
+        name TEXT,
+        version INTEGER,
+        PRIMARY KEY (tenant_id, id)
+      )`)
+    })
+    beforeEach(async () => {
+      await Member.db.pool.query('DELETE FROM "Members"')
+      ents = [create(1, 1, 'a'), create(1, 2, 'b'), create(2, 1, 'c')]
+      await Member.saveMany(ents)
+    })
+    after(() => Member.db.pool.query('DROP TABLE "Members"'))
+
+    it('should fetch entities by the full key, given in any form', async () => {
+      for (const args of [[['tenant_id', 'id'], [2, 1]], [['id', 'tenant_id'], [1, 2]],
+        [{ tenant_id: 2, id: 1 }], [[2, 1]]]) {
+        const fetched = await Member.fetch(...args)
+        expect(fetched).to.be.a(Member)
+        expect(fetched.name).to.be('c')
+      }
+      expect(await Member.fetch([3, 1])).to.be(null)
+    })
+
+    it('should update only the row with the full key', async () => {
+      ents[0].name = 'z'
+      expect(await ents[0].update()).to.be(true)
+      expect(ents[0].version).to.be(2)
+      expect((await Member.fetch([1, 1])).name).to.be('z')
+      expect((await Member.fetch([2, 1])).name).to.be('c')
+    })
+
+    it('should delete only the row with the full key', async () => {
+      expect(await ents[2].delete()).to.be(true)
+      expect(await Member.delete({ tenant_id: 1, id: 2 })).to.be(true)
+      expect(await Member.delete([1, 2])).to.be(false)
+      expect((await Member.fetchMany()).map(e => e.name)).to.eql(['a'])
+    })
+
+    it('should reload entities by the full key', async () => {
+      await Member.db.pool.query('UPDATE "Members" SET name = \'z\' WHERE tenant_id = 2')
+      await ents[2].reload()
+      await ents[0].reload()
+      expect(ents.map(e => e.name)).to.eql(['a', 'b', 'z'])
+    })
+
+    it('should check the version of stale entities', async () => {
+      const other = await Member.fetch([1, 1])
+      other.name = 'other'
+      await other.update()
+      ents[0].name = 'z'
+      await ents[0].update()
+        .then(() => { throw new Error('update should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.StaleEntityError))
+    })
+
+    it('should conflict on the full key when upserting', async () => {
+      const copy = create(1, 2, 'y')
+      expect(await copy.upsert()).to.be(true)
+      expect(copy.version).to.be(2)
+      expect(await create(3, 2, 'x').upsert()).to.be(true)
+      expect(await Member.count()).to.be(4)
+    })
+
+    it('should paginate on every key column', async () => {
+      const { items, pageInfo } = await Member.paginate({}, { first: 2 })
+      expect(items.map(e => e.name)).to.eql(['a', 'b'])
+      const next = await Member.paginate({}, { first: 2, after: pageInfo.endCursor })
+      expect(next.items.map(e => e.name)).to.eql(['c'])
+    })
+
+    describe('should throw an error', function () {
+      specify('fetching by a part of the key', done => {
+        Member.fetch('id', 1)
+          .then(() => done(new Error('fetch should have thrown an error')))
+          .catch(() => done())
+      })
+
+      specify('fetching with key values not matching the columns', done => {
+        Member.fetch(['tenant_id', 'id'], [1])
+          .then(() => done(new Error('fetch should have thrown an error')))
+          .catch(() => done())
+      })
+
+      specify('upserting on a part of the key', done => {
+        create(1, 1, 'x').upsert({ conflict: 'id' })
+          .then(() => done(new Error('upsert should have thrown an error')))
+          .catch(() => done())
+      })
+    })
+  })
+
   describe('operation on multiple instances', function () {
     const BURST = 8
     let mockies1, mockies2
     beforeEach(async () => {
-      Mock.db.pool.query(`DELETE FROM ${Mock.db.table}`)
+      await Mock.db.pool.query(`DELETE FROM ${quoteIdentifier(Mock.db.table)}`)
       mockies1 = new Array(BURST).fill(true).map(() => new Mock({ msg: 'ciaone', msg2: 'weee' }))
       mockies2 = new Array(BURST).fill(true).map(() => new Mock({ msg: 'ehila', msg2: 'weee' }))
       for (const i of range(0, BURST - 1)) {
@@ -325,6 +1497,554 @@ describe('A class extending Perseest.Class', function () {
           throw err
         }
       })
+
+      it('should support operators in the condition', async () => {
+        const ids = mockies1.map(m => m.id)
+        expect(await Mock.fetchMany({ id: { $in: ids.slice(0, 3) } }))
+          .to.have.length(3)
+        expect(await Mock.fetchMany({ id: { $gt: ids[BURST - 1] }, msg: 'ehila' }))
+          .to.have.length(BURST)
+        expect(await Mock.fetchMany({ msg: { $like: 'ciao%' }, ser: { $null: false } }))
+          .to.have.length(BURST)
+      })
+
+      it('should support nested logical operators', async () => {
+        const ents = await Mock.fetchMany({
+          $or: [{ uniq: mockies1[0].uniq }, { uniq: mockies2[0].uniq }],
+          $not: { msg: 'ehila' }
+        })
+        expect(ents).to.have.length(1)
+        expect(ents[0].id).to.be(mockies1[0].id)
+      })
+
+      it('should fail with columns not present in the configuration', done => {
+        Mock.fetchMany({ $or: [{ msg: 'ciaone' }, { nonexistent: 1 }] })
+          .then(() => done(new Error('fetchMany should have thrown an error')))
+          .catch(() => done())
+      })
+
+      it('should order the entities if requested', async () => {
+        const ents = await Mock.fetchMany({}, { orderBy: [['msg', 'desc'], 'id'] })
+        expect(ents.map(e => e.id)).to.eql(
+          mockies2.concat(mockies1).map(m => m.id))
+      })
+
+      it('should apply limit and offset', async () => {
+        const ents = await Mock.fetchMany({ msg: 'ciaone' },
+          { orderBy: 'id', limit: 3, offset: 2 })
+        expect(ents.map(e => e.id)).to.eql(mockies1.slice(2, 5).map(m => m.id))
+      })
+
+      it('should let hooks inspect and modify the options', async () => {
+        Mock.db.addHook('before', 'fetchMany', params => {
+          params.limit = Math.min(params.limit || 4, 4)
+        })
+        try {
+          expect(await Mock.fetchMany({}, { limit: 10 })).to.have.length(4)
+          expect(await Mock.fetchMany()).to.have.length(4)
+        } finally {
+          Mock.db.flushHooks(null, 'fetchMany')
+        }
+      })
+
+      it('should give equality conditions to hooks as columns and values', async () => {
+        const seen = []
+        for (const q of ['fetchMany', 'deleteMany']) {
+          Mock.db.addHook('before', q, ({ columns, values }) => seen.push([columns, values]))
+        }
+        try {
+          await Mock.fetchMany({ msg: 'ciaone', msg2: 'weee' })
+          await Mock.fetchMany({ id: { $gt: 0 } })
+          await Mock.fetchMany()
+          await Mock.deleteMany({ msg: 'nope' })
+        } finally {
+          Mock.db.flushHooks(null, 'fetchMany')
+          Mock.db.flushHooks(null, 'deleteMany')
+        }
+        expect(seen).to.eql([
+          [['msg', 'msg2'], ['ciaone', 'weee']],
+          [[], []],
+          [[], []],
+          [['msg'], ['nope']]
+        ])
+      })
+
+      describe('should fail with', function () {
+        specify('ordering columns not present in the configuration', done => {
+          Mock.fetchMany({}, { orderBy: ['msg', 'nonexistent'] })
+            .then(() => done(new Error('fetchMany should have thrown an error')))
+            .catch(() => done())
+        })
+
+        specify('a negative limit', done => {
+          Mock.fetchMany({}, { limit: -1 })
+            .then(() => done(new Error('fetchMany should have thrown an error')))
+            .catch(() => done())
+        })
+      })
+    })
+
+    describe('paginating', function () {
+      const paginateAll = async (cond, opt) => {
+        const pages = []
+        let page = { pageInfo: { hasNextPage: true, endCursor: undefined } }
+        while (page.pageInfo.hasNextPage) {
+          page = await Mock.paginate(cond,
+            Object.assign({ after: page.pageInfo.endCursor }, opt))
+          pages.push(page.items)
+        }
+        return pages
+      }
+
+      it('should return pages ordered by primary key by default', async () => {
+        const pages = await paginateAll({}, { first: 5 })
+        expect(pages.map(p => p.length)).to.eql([5, 5, 5, 1])
+        expect([].concat(...pages).map(e => e.id)).to.eql(
+          mockies1.concat(mockies2).map(m => m.id))
+      })
+
+      it('should break ties on the primary key in both directions', async () => {
+        for (const dir of ['asc', 'desc']) {
+          const pages = await paginateAll({}, { orderBy: [['msg2', dir]], first: 3 })
+          const ids = [].concat(...pages).map(e => e.id)
+          const expected = mockies1.concat(mockies2).map(m => m.id)
+          expect(ids).to.eql(dir === 'asc' ? expected : expected.reverse())
+        }
+      })
+
+      it('should page on multiple columns with mixed directions', async () => {
+        const pages = await paginateAll({ id: { $ne: mockies1[0].id } },
+          { orderBy: [['msg', 'desc'], 'id'], first: 4 })
+        expect([].concat(...pages).map(e => e.id)).to.eql(
+          mockies2.concat(mockies1.slice(1)).map(m => m.id))
+      })
+
+      it('should return an empty page with no matching entities', async () => {
+        const page = await Mock.paginate({ msg: 'nope' }, { first: 3 })
+        expect(page.items).to.be.empty()
+        expect(page.pageInfo).to.eql({ endCursor: null, hasNextPage: false })
+      })
+
+      describe('should fail with', function () {
+        specify('a cursor given for a different ordering', async () => {
+          const { pageInfo } = await Mock.paginate({}, { first: 2, orderBy: 'msg' })
+          await Mock.paginate({}, { first: 2, after: pageInfo.endCursor })
+            .then(() => { throw new Error('paginate should have thrown an error') })
+            .catch(err => expect(err.message).to.match(/ordering/))
+        })
+
+        specify('a cursor given for a different direction', async () => {
+          const { pageInfo } = await Mock.paginate({}, { first: 2, orderBy: 'msg2' })
+          await Mock.paginate({}, { first: 2, orderBy: [['msg2', 'desc']], after: pageInfo.endCursor })
+            .then(() => { throw new Error('paginate should have thrown an error') })
+            .catch(err => expect(err.message).to.match(/ordering/))
+        })
+
+        specify('a cursor given for other ordering columns', async () => {
+          const { pageInfo } = await Mock.paginate({}, { first: 2, orderBy: 'msg2' })
+          await Mock.paginate({}, { first: 2, orderBy: ['msg2', 'msg'], after: pageInfo.endCursor })
+            .then(() => { throw new Error('paginate should have thrown an error') })
+            .catch(err => expect(err.message).to.match(/ordering/))
+        })
+
+        specify('a malformed cursor', async () => {
+          const cursor = Buffer.from('[["id", 1]]').toString('base64')
+          await Mock.paginate({}, { first: 2, after: cursor })
+            .then(() => { throw new Error('paginate should have thrown an error') })
+            .catch(err => expect(err.message).to.match(/ordering/))
+        })
+
+        specify('a non-positive page size', done => {
+          Mock.paginate({}, { first: 0 })
+            .then(() => done(new Error('paginate should have thrown an error')))
+            .catch(() => done())
+        })
+      })
+    })
+
+    describe('bulk updating', function () {
+      it('should update the matching entities', async () => {
+        expect(await Mock.updateMany({ msg: 'ciaone', id: { $gt: mockies1[1].id } },
+          { msg2: 'updated' })).to.be(BURST - 2)
+        expect(await Mock.count({ msg2: 'updated' })).to.be(BURST - 2)
+        expect(await Mock.count({ msg: 'ehila', msg2: 'weee' })).to.be(BURST)
+      })
+
+      it('should support increments, the current time and null', async () => {
+        await Mock.updateMany({ id: mockies1[0].id }, {
+          ser: { $inc: 10 },
+          msg: { $now: true },
+          msg2: null
+        })
+        const fetched = await Mock.fetch('id', mockies1[0].id)
+        const before = await Mock.fetch('id', mockies2[0].id)
+        expect(fetched.ser).to.be(mockies1[0].ser + 10)
+        expect(Number.isNaN(Date.parse(fetched.msg))).to.be(false)
+        expect(fetched.msg2).to.be(null)
+        expect(before.msg2).to.be('weee')
+      })
+
+      it('should return the updated entities if requested', async () => {
+        const ents = await Mock.updateMany({ msg: 'ehila' }, { ser: { $inc: -1 } },
+          { returning: true })
+        expect(ents).to.have.length(BURST)
+        ents.forEach(e => expect(e).to.be.a(Mock))
+        expect(ents.map(e => e.ser).sort()).to.eql(mockies2.map(m => m.ser - 1).sort())
+      })
+
+      it('should update every entity only if forced to', async () => {
+        await Mock.updateMany({}, { msg2: 'all' })
+          .then(() => { throw new Error('updateMany should have thrown an error') })
+          .catch(err => expect(err.message).to.match(/without an update condition/))
+        expect(await Mock.updateMany({}, { msg2: 'all' }, { force: true }))
+          .to.be(BURST * 2)
+      })
+
+      it('should not update every entity with an always true condition', async () => {
+        await Mock.updateMany({ $not: { $or: [] } }, { msg2: 'all' })
+          .then(() => { throw new Error('updateMany should have thrown an error') })
+          .catch(err => expect(err.message).to.match(/without an update condition/))
+        expect(await Mock.fetchMany({ msg2: 'all' })).to.be.empty()
+      })
+
+      it('should run the updateMany hooks', async () => {
+        Mock.db.addHook('before', 'updateMany', params => { params.changes.msg2 = 'hooked' })
+        try {
+          await Mock.updateMany({ msg: 'ehila' }, { msg: 'hey' })
+        } finally { Mock.db.flushHooks(null, 'updateMany') }
+        expect(await Mock.count({ msg: 'hey', msg2: 'hooked' })).to.be(BURST)
+      })
+
+      describe('should fail with', function () {
+        [['no changes', {}],
+          ['a column not present', { doh: 1 }],
+          ['an unknown operator', { ser: { $mul: 2 } }],
+          ['a non-numeric increment', { ser: { $inc: '1' } }],
+          ['many operators on a column', { ser: { $inc: 1, $now: true } }]
+        ].forEach(([testCase, changes]) => specify(testCase, done => {
+          Mock.updateMany({ msg: 'ehila' }, changes)
+            .then(() => done(new Error('updateMany should have thrown an error')))
+            .catch(() => done())
+        }))
+      })
+    })
+
+    describe('incrementing', function () {
+      it('should increment the matching entities', async () => {
+        expect(await Mock.increment({ msg: 'ehila' }, { ser: 100 })).to.be(BURST)
+        const ents = await Mock.fetchMany({ msg: 'ehila' }, { orderBy: 'id' })
+        expect(ents.map(e => e.ser)).to.eql(mockies2.map(m => m.ser + 100))
+        const others = await Mock.fetchMany({ msg: 'ciaone' }, { orderBy: 'id' })
+        expect(others.map(e => e.ser)).to.eql(mockies1.map(m => m.ser))
+      })
+
+      it('should run the incrementMany hooks', async () => {
+        const hook = sinon.fake()
+        Mock.db.addHook('before', 'incrementMany', hook)
+        try {
+          await Mock.increment({ msg: 'ehila' }, { ser: 1 })
+        } finally { Mock.db.flushHooks(null, 'incrementMany') }
+        expect(hook.callCount).to.be(1)
+      })
+
+      it('should increment every entity only if forced to', async () => {
+        await Mock.increment({}, { ser: 1 })
+          .then(() => { throw new Error('increment should have thrown an error') })
+          .catch(err => expect(err.message).to.match(/without an update condition/))
+        expect(await Mock.increment({}, { ser: 1 }, { force: true })).to.be(BURST * 2)
+      })
+    })
+
+    describe('aggregating', function () {
+      it('should count the matching entities', async () => {
+        expect(await Mock.count()).to.be(BURST * 2)
+        expect(await Mock.count({ msg: 'ehila', id: { $gt: mockies2[1].id } }))
+          .to.be(BURST - 2)
+        expect(await Mock.count({ msg: 'nope' })).to.be(0)
+      })
+
+      it('should check if some entity matches', async () => {
+        expect(await Mock.exists({ msg: 'ciaone' })).to.be(true)
+        expect(await Mock.exists({ msg: 'nope' })).to.be(false)
+      })
+
+      it('should compute aggregate functions as numbers', async () => {
+        const ids = mockies1.map(m => m.id)
+        const sum = ids.reduce((a, b) => a + b, 0)
+        expect(await Mock.aggregate({
+          count: '*',
+          sum: 'id',
+          avg: 'id',
+          min: ['id', 'msg2']
+        }, { msg: 'ciaone' })).to.eql({
+          count: BURST,
+          sum: sum,
+          avg: sum / BURST,
+          min: { id: Math.min(...ids), msg2: 'weee' }
+        })
+      })
+
+      it('should compute aggregate functions for each group', async () => {
+        const groups = await Mock.aggregate({ count: 'id', max: 'id' }, {},
+          { groupBy: ['msg', 'msg2'] })
+        expect(groups).to.eql([
+          { msg: 'ciaone', msg2: 'weee', count: BURST, max: mockies1[BURST - 1].id },
+          { msg: 'ehila', msg2: 'weee', count: BURST, max: mockies2[BURST - 1].id }
+        ])
+      })
+
+      it('should return null for functions over no entities', async () =>
+        expect(await Mock.aggregate({ sum: 'id', count: '*' }, { msg: 'nope' }))
+          .to.eql({ sum: null, count: 0 }))
+
+      it('should run the hooks of the named queries', async () => {
+        const hook = sinon.fake()
+        for (const q of ['count', 'exists', 'aggregate']) Mock.db.addHook('before', q, hook)
+        try {
+          await Mock.count({ msg: 'ehila' })
+          await Mock.exists({ msg: 'ehila' })
+          await Mock.aggregate({ count: '*' }, { msg: 'ehila' })
+        } finally {
+          for (const q of ['count', 'exists', 'aggregate']) Mock.db.flushHooks(null, q)
+        }
+        expect(hook.callCount).to.be(3)
+        hook.args.forEach(([params]) => expect(params.cond).to.eql({ msg: 'ehila' }))
+      })
+
+      describe('should fail with', function () {
+        specify('an invalid condition', done => {
+          Mock.count({ doh: 1 })
+            .then(() => done(new Error('count should have thrown an error')))
+            .catch(() => done())
+        })
+
+        specify('an unknown aggregate function', done => {
+          Mock.aggregate({ median: 'id' })
+            .then(() => done(new Error('aggregate should have thrown an error')))
+            .catch(() => done())
+        })
+      })
+    })
+
+    describe('streaming', function () {
+      const collect = async (cond, opt) => {
+        const ents = []
+        for await (const ent of Mock.stream(cond, opt)) ents.push(ent)
+        return ents
+      }
+      const spyRelease = () => {
+        const release = sinon.spy()
+        const connect = Mock.db.pool.connect.bind(Mock.db.pool)
+        sinon.stub(Mock.db.pool, 'connect').callsFake(async () => {
+          const client = await connect()
+          const original = client.release
+          client.release = err => {
+            release(err)
+            delete client.release // Restore the pool-assigned function
+            return original.call(client, err)
+          }
+          return client
+        })
+        return release
+      }
+
+      it('should yield every matching entity across batches', async () => {
+        const ents = await collect({}, { batchSize: 3 })
+        expect(ents).to.have.length(BURST * 2)
+        ents.forEach(e => expect(e).to.be.a(Mock))
+        expect(ents.map(e => e.id).sort()).to.eql(
+          mockies1.concat(mockies2).map(m => m.id).sort())
+      })
+
+      it('should respect conditions, ordering and limits', async () => {
+        const ents = await collect({ msg: 'ehila' },
+          { orderBy: [['id', 'desc']], limit: 5, batchSize: 2 })
+        expect(ents.map(e => e.id)).to.eql(
+          mockies2.slice(-5).reverse().map(m => m.id))
+      })
+
+      it('should yield nothing with no matching entities', async () =>
+        expect(await collect({ msg: 'nope' }, { batchSize: 4 })).to.be.empty())
+
+      it('should release the client when iterating is stopped early', async () => {
+        const release = spyRelease()
+        let yielded = 0
+        try {
+          for await (const ent of Mock.stream({}, { batchSize: 2 })) {
+            expect(ent).to.be.a(Mock)
+            if (++yielded === 3) break
+          }
+        } finally { sinon.restore() }
+        expect(yielded).to.be(3)
+        expect(release.calledOnce).to.be(true)
+        expect(release.args[0][0]).to.not.be.ok() // Client reusable
+        expect(await collect({})).to.have.length(BURST * 2)
+      })
+
+      it('should release the client and map errors on failure', async () => {
+        const release = spyRelease()
+        try {
+          await collect({ id: { $gt: 'nan' } }) // Invalid integer
+          throw new Error('stream should have thrown an error')
+        } catch (err) {
+          expect(err).to.be.an(errors.DatabaseError)
+          expect(err.query).to.be('stream')
+        } finally { sinon.restore() }
+        expect(release.calledOnce).to.be(true)
+      })
+
+      it('should see uncommitted changes inside a transaction', async () => {
+        await Mock.db.transaction(async () => {
+          await new Mock({ msg: 'streamed' }).save()
+          expect(await collect({ msg: 'streamed' })).to.have.length(1)
+          throw new Error('Rolling back')
+        }).catch(() => {})
+        expect(await collect({ msg: 'streamed' })).to.be.empty()
+      })
+
+      it('should throw an error with an invalid batch size', async () => {
+        for (const batchSize of [0, -1, 1.5, '10']) {
+          await collect({}, { batchSize })
+            .then(() => { throw new Error('stream should have thrown an error') })
+            .catch(err => expect(err).to.be.a(TypeError))
+        }
+      })
+    })
+
+    describe('saving', function () {
+      let news
+      beforeEach(() => news = new Array(BURST).fill(true).map(() => new Mock()))
+      afterEach(() => Mock.db.flushHooks(null, 'saveMany'))
+
+      it('should insert all the entities in a single query', async () => {
+        const spy = sinon.spy(Mock.db.pool, 'query')
+        try {
+          expect(await Mock.saveMany(news)).to.be(BURST)
+          expect(spy.callCount).to.be(1)
+        } finally { spy.restore() }
+        expect(await Mock.fetchMany({ id: { $in: news.map(m => m.id) } }))
+          .to.have.length(BURST)
+      })
+
+      it('should mark the entities as existing and populate serial columns', async () => {
+        await Mock.saveMany(news)
+        for (const m of news) {
+          expect(m.exists).to.be(true)
+          expect(m.ser).to.be.a('number')
+        }
+        expect(new Set(news.map(m => m.ser)).size).to.be(BURST)
+      })
+
+      it('should run hooks once with all the entities', async () => {
+        const hook = sinon.fake()
+        Mock.db.addHook('before', 'saveMany', hook)
+        Mock.db.addHook('after', 'saveMany', hook)
+        await Mock.saveMany(news)
+        expect(hook.callCount).to.be(2)
+        expect(hook.firstCall.args[0].entities).to.eql(news)
+      })
+
+      it('should split the insertion according to the parameter limit', async () => {
+        const max = Query.MAX_PARAMETERS
+        Query.MAX_PARAMETERS = 9 // i.e. two entities per statement
+        let res
+        Mock.db.addHook('after', 'saveMany', params => res = params.res)
+        try {
+          expect(await Mock.saveMany(news)).to.be(BURST)
+        } finally { Query.MAX_PARAMETERS = max }
+        expect(res.rows).to.have.length(BURST)
+        expect(news.every(m => m.exists)).to.be(true)
+        expect(await Mock.fetchMany({ id: { $in: news.map(m => m.id) } }))
+          .to.have.length(BURST)
+      })
+
+      it('should save nothing if any statement fails', async () => {
+        const max = Query.MAX_PARAMETERS
+        Query.MAX_PARAMETERS = 9
+        news[BURST - 1].uniq = mockies1[0].uniq
+        try {
+          await Mock.saveMany(news)
+            .then(() => { throw new Error('saveMany should have thrown an error') })
+            .catch(err => expect(err.message).to.not.match(/should have thrown/))
+        } finally { Query.MAX_PARAMETERS = max }
+        expect(await Mock.fetchMany({ id: { $in: news.map(m => m.id) } }))
+          .to.be.empty()
+        expect(news.some(m => m.exists)).to.be(false)
+      })
+
+      it('should return 0 with no entities', async () =>
+        expect(await Mock.saveMany([])).to.be(0))
+
+      describe('should fail with', function () {
+        specify('entities not being new', done => {
+          Mock.saveMany([news[0], mockies1[0]])
+            .then(() => done(new Error('saveMany should have thrown an error')))
+            .catch(err => done(err instanceof errors.EntityStateError ? null : err))
+        })
+
+        specify('entities of another class', done => {
+          Mock.saveMany([news[0], {}])
+            .then(() => done(new Error('saveMany should have thrown an error')))
+            .catch(() => done())
+        })
+
+        specify('a non-iterable argument', done => {
+          Mock.saveMany(news[0])
+            .then(() => done(new Error('saveMany should have thrown an error')))
+            .catch(() => done())
+        })
+      })
+    })
+
+    describe('upserting', function () {
+      it('should insert new entities and update the existing ones', async () => {
+        const copies = mockies1.map(m =>
+          new Mock({ id: m.id, uniq: m.uniq, msg: 'upserted' }))
+        const news = [new Mock({ msg: 'upserted' }), new Mock({ msg: 'upserted' })]
+        expect(await Mock.upsertMany(copies.concat(news))).to.be(BURST + 2)
+        expect(copies.map(m => m.ser)).to.eql(mockies1.map(m => m.ser))
+        expect(news.every(m => m.exists && Number.isInteger(m.ser))).to.be(true)
+        expect(await Mock.fetchMany({ msg: 'upserted' })).to.have.length(BURST + 2)
+        expect(await Mock.fetchMany({ msg: 'ciaone' })).to.be.empty()
+      })
+
+      it('should accept conflict target and overwritten columns', async () => {
+        const copies = mockies1.map(m =>
+          new Mock({ uniq: m.uniq, msg: 'upserted', msg2: 'upserted' }))
+        await Mock.upsertMany(copies, { conflict: ['uniq'], overwrite: 'msg2' })
+        expect(copies.map(m => m.id)).to.eql(mockies1.map(m => m.id))
+        expect(copies.every(m => m.msg === 'ciaone' && m.msg2 === 'upserted'))
+          .to.be(true)
+      })
+
+      it('should not overwrite the columns an entity leaves undefined', async () => {
+        const [m1, m2, m3] = mockies1
+        const copies = [m1, m2, {}, m3].map(m =>
+          new Mock({ id: m.id, uniq: m.uniq, msg: 'upserted', msg2: 'upserted' }))
+        for (const m of copies.slice(1)) m.msg2 = undefined
+        expect(await Mock.upsertMany(copies)).to.be(4)
+        expect(copies.map(m => m.id))
+          .to.eql([m1.id, m2.id, copies[2].id, m3.id])
+        expect(copies.every(m => m.exists && m.msg === 'upserted')).to.be(true)
+        expect([copies[0], copies[1], copies[3]].map(m => m.msg2))
+          .to.eql(['upserted', m2.msg2, m3.msg2])
+        const fetched = await Mock.fetchMany({ id: { $in: [m2.id, m3.id] } })
+        expect(fetched.map(m => m.msg2)).to.eql([m2.msg2, m3.msg2])
+      })
+
+      it('should not overwrite undefined columns given explicitly', async () => {
+        const [m1, m2] = mockies1
+        const copies = [m1, m2].map(m =>
+          new Mock({ id: m.id, uniq: m.uniq, msg: 'upserted', msg2: 'upserted' }))
+        copies[1].msg2 = undefined
+        await Mock.upsertMany(copies, { overwrite: ['msg', 'msg2'] })
+        expect(copies.map(m => [m.msg, m.msg2]))
+          .to.eql([['upserted', 'upserted'], ['upserted', m2.msg2]])
+        expect((await Mock.fetch('id', m2.id)).msg2).to.be(m2.msg2)
+      })
+
+      it('should return 0 with no entities', async () =>
+        expect(await Mock.upsertMany([])).to.be(0))
     })
 
     describe('deleting', function () {
@@ -345,6 +2065,20 @@ describe('A class extending Perseest.Class', function () {
           .catch(() => done())
       })
 
+      it('should fail with an always true condition', async () => {
+        await Mock.deleteMany({ $or: [{ id: 1 }, { id: { $nin: [] } }] })
+          .then(() => { throw new Error('deleteMany should have thrown an error') })
+          .catch(err => expect(err.message).to.match(/without a delete condition/))
+        expect(await Mock.fetchMany()).to.have.length(BURST * 2)
+      })
+
+      it('should support operators in the condition', async () => {
+        const ids = mockies2.map(m => m.id)
+        expect(await Mock.deleteMany({ id: { $gte: ids[0] }, msg: { $ne: 'ciaone' } }))
+          .to.be(BURST)
+        expect(await Mock.fetchMany()).to.have.length(BURST)
+      })
+
       it('should concat multiple condition with AND by default', async () => {
         try {
           expect(await Mock.deleteMany({ msg: 'ciaone', msg2: 'weee' }))
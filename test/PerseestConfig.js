@@ -24,6 +24,14 @@ describe('Perseest.Config', function () {
     specify('non-string primary key', () =>
       expect(() => ConfigFactory.create({ primaryKey: { a: 321321 } }))
         .to.throwError())
+
+    specify('an empty composite primary key', () =>
+      expect(() => ConfigFactory.create({ primaryKey: [] })).to.throwError())
+
+    specify('a composite primary key with blank or repeated columns', () => {
+      expect(() => ConfigFactory.create({ primaryKey: ['a', ''] })).to.throwError()
+      expect(() => ConfigFactory.create({ primaryKey: ['a', 'a'] })).to.throwError()
+    })
   })
 
   it('should accept an enumerable object as column collection', () => {
@@ -36,10 +44,137 @@ describe('Perseest.Config', function () {
     expect(conf.columns.get('col2').id).to.be(true)
   })
 
+  it('should accept a custom entity factory', () => {
+    const row2Entity = row => row.id
+    const conf = new Config('SomeTable', 'pk', [], { row2Entity })
+    expect(conf.row2Entity).to.be(row2Entity)
+    expect(conf.hydrate({ id: 123 })).to.be(123)
+  })
+
+  it('should return plain rows when the entity class is not known', () =>
+    expect(ConfigFactory.create().hydrate({ a: 1 })).to.eql({ a: 1 }))
+
+  it('should throw an error with an entity factory not being a function', () =>
+    expect(() => new Config('SomeTable', 'pk', [], { row2Entity: 'abc' }))
+      .to.throwError())
+
+  it('should expose the version column if present', () => {
+    expect(ConfigFactory.create().versionColumn).to.be(null)
+    expect(ConfigFactory.create({ columns: ['a', ['v', { version: true }]] })
+      .versionColumn).to.be('v')
+  })
+
+  it('should add the soft delete column if not present', () => {
+    const conf = new Config('t', 'id', ['a'], { softDelete: 'deleted_at' })
+    expect(conf.softDelete).to.be('deleted_at')
+    expect(conf.columns.get('deleted_at').type).to.be('date')
+    expect(new Config('t', 'id', ['a']).softDelete).to.be(null)
+  })
+
+  describe('validating entities', function () {
+    let conf
+    beforeEach(() => conf = new Config('t', 'id', {
+      name: { validate: { presence: true, length: { maximum: 5 } } },
+      age: { validate: v => v < 18 ? 'Age must be at least 18' : null },
+      email: null
+    }, {
+      validate: {
+        name: { format: /^[a-z]*$/ },
+        email: { email: true }
+      }
+    }))
+
+    it('should return null for valid entities', () =>
+      expect(conf.validate({ name: 'abc', age: 20, email: 'a@b.it' })).to.be(null))
+
+    it('should return the messages for each invalid column', () => {
+      const errors = conf.validate({ name: 'ABCDEF', age: 10, email: 'a' })
+      expect(Object.keys(errors).sort()).to.eql(['age', 'email', 'name'])
+      expect(errors.name).to.have.length(2) // Both column and option constraints
+      expect(errors.age).to.eql(['Age must be at least 18'])
+    })
+
+    it('should validate only the given columns', () =>
+      expect(conf.validate({ name: 'ABCDEF', age: 10 }, ['age']))
+        .to.only.have.keys('age'))
+
+    it('should pass the entity and the column name to validation functions', () => {
+      const fn = sinon.fake.returns(['a', 'b'])
+      const ent = { x: 1 }
+      const errors = new Config('t', 'id', { x: { validate: fn } }).validate(ent)
+      expect(fn.calledOnceWith(1, ent, 'x')).to.be(true)
+      expect(errors).to.eql({ x: ['a', 'b'] })
+    })
+
+    describe('should throw an error when created with', function () {
+      specify('constraints for columns not being present', () =>
+        expect(() => new Config('t', 'id', ['a'], { validate: { b: {} } }))
+          .to.throwError())
+
+      specify('constraints not being objects or functions', () => {
+        expect(() => new Config('t', 'id', ['a'], { validate: { a: 'presence' } }))
+          .to.throwError()
+        expect(() => new Config('t', 'id', { a: { validate: [] } }))
+          .to.throwError()
+      })
+    })
+  })
+
+  it('should throw an error with a clock not being a function', () =>
+    expect(() => new Config('t', 'id', ['a'], { clock: 'now' })).to.throwError())
+
+  it('should throw an error with a soft delete column not being a string', () =>
+    expect(() => new Config('t', 'id', ['a'], { softDelete: 1 })).to.throwError())
+
+  it('should throw an error with more than one version column', () =>
+    expect(() => ConfigFactory.create({
+      columns: [['v1', { version: true }], ['v2', { version: true }]]
+    })).to.throwError())
+
   it('should automatically set \'id\' for the primary key', () => {
     const conf = new Config('SomeTable', 'pk', ['pk', 'hello'])
     expect(conf.columns.get('pk').id).to.be(true)
   })
+
+  describe('with a composite primary key', function () {
+    let conf
+    beforeEach(() => conf = new Config('Members', ['tenant', 'id'],
+      ['name', ['email', { id: true }]]))
+
+    it('should add its columns without marking them as \'id\'', () => {
+      expect(conf.primaryKey).to.eql(['tenant', 'id'])
+      expect(conf.primaryKeys).to.eql(['tenant', 'id'])
+      for (const k of ['tenant', 'id']) {
+        expect(conf.columns.has(k)).to.be(true)
+        expect(conf.columns.attribute(k, 'id')).to.be(false)
+      }
+    })
+
+    it('should recognize the primary key in any order', () => {
+      expect(conf.isPrimaryKey(['id', 'tenant'])).to.be(true)
+      expect(conf.isPrimaryKey('id')).to.be(false)
+      expect(conf.isPrimaryKey(['tenant', 'id', 'name'])).to.be(false)
+    })
+
+    it('should accept only the full key or \'id\' columns as identifiers', () => {
+      expect(conf.isIdentifier(['tenant', 'id'])).to.be(true)
+      expect(conf.isIdentifier('email')).to.be(true)
+      expect(conf.isIdentifier(['email', 'tenant'])).to.be(false)
+      expect(conf.isIdentifier('tenant')).to.be(false)
+      expect(conf.isIdentifier([])).to.be(false)
+    })
+
+    it('should expose a single-column primary key as a string', () => {
+      const single = new Config('SomeTable', ['pk'], ['hello'])
+      expect(single.primaryKey).to.be('pk')
+      expect(single.primaryKeys).to.eql(['pk'])
+      expect(single.isIdentifier('pk')).to.be(true)
+    })
+
+    it('should not accept a version column in the primary key', () =>
+      expect(() => new Config('Members', ['tenant', 'id'],
+        [['id', { version: true }]])).to.throwError())
+  })
 })
 
 describe('Database', function () {
@@ -136,6 +271,13 @@ describe('Query hook interface', function () {
         for (const n of help.range(1, rnd)) { conf.addHook('before', 'save', () => {}) }
         expect(query.hooks.before).to.have.length(rnd)
       })
+
+      specify('for around-hooks and error-hooks', () => {
+        conf.addHook('around', 'save', (params, next) => next())
+        conf.addHook('error', 'save', () => {})
+        expect(query.hooks.around).to.have.length(1)
+        expect(query.hooks.error).to.have.length(1)
+      })
     })
 
     describe('should fail', function () {
@@ -187,6 +329,14 @@ describe('Query hook interface', function () {
       expect(q1.hooks.after).to.be.empty()
     })
 
+    it('should remove around-hooks and error-hooks without moment', function () {
+      conf.addHook('around', 'save', (params, next) => next())
+      conf.addHook('error', 'save', () => {})
+      conf.flushHooks(null, 'save')
+      expect(q1.hooks.around).to.be.empty()
+      expect(q1.hooks.error).to.be.empty()
+    })
+
     it('should remove related hooks only with moment', function () {
       conf.flushHooks('before')
       expect(q1.hooks.before).to.be.empty()
@@ -217,6 +367,74 @@ describe('Query hook interface', function () {
 })
 
 describe('Perseest.Config.ColumnMap', function () {
+  describe('transforming values', function () {
+    let map
+    beforeEach(() => map = new Config.ColumnMap([
+      'plain',
+      ['big', { type: 'bigint' }],
+      ['num', { type: 'numeric' }],
+      ['json', { type: 'json' }],
+      ['bool', { type: 'boolean' }],
+      ['uuid', { type: 'uuid' }],
+      ['date', { type: 'date' }],
+      ['custom', { type: 'json', serialize: v => `<${v}>`, parse: v => v.length }]
+    ]))
+
+    it('should leave untyped and unknown columns untouched', () => {
+      const obj = { a: 1 }
+      expect(map.serialize('plain', obj)).to.be(obj)
+      expect(map.parse('plain', obj)).to.be(obj)
+      expect(map.serialize('doh', obj)).to.be(obj)
+    })
+
+    it('should never transform null and undefined with default types', () => {
+      for (const col of ['big', 'num', 'json', 'bool', 'uuid', 'date']) {
+        for (const v of [null, undefined]) {
+          expect(map.serialize(col, v)).to.be(v)
+          expect(map.parse(col, v)).to.be(v)
+        }
+      }
+    })
+
+    it('should handle bigint columns as BigInts', () => {
+      expect(map.serialize('big', 2n ** 64n)).to.be('18446744073709551616')
+      expect(map.parse('big', '18446744073709551616')).to.be(2n ** 64n)
+    })
+
+    it('should parse numeric columns as numbers', () =>
+      expect(map.parse('num', '3.25')).to.be(3.25))
+
+    it('should serialize json columns as JSON strings', () =>
+      expect(map.serialize('json', [1, 2])).to.be('[1,2]'))
+
+    it('should handle boolean columns', () => {
+      expect(map.parse('bool', 't')).to.be(true)
+      expect(map.parse('bool', 'f')).to.be(false)
+      expect(map.serialize('bool', 0)).to.be(false)
+    })
+
+    it('should validate uuid columns', () => {
+      expect(map.serialize('uuid', 'A0EEBC99-9C0B-4EF8-BB6D-6BB9BD380A11'))
+        .to.be('a0eebc99-9c0b-4ef8-bb6d-6bb9bd380a11')
+      expect(() => map.serialize('uuid', 'abc')).to.throwError()
+    })
+
+    it('should parse date columns as dates', () => {
+      const parsed = map.parse('date', '2020-05-01T10:00:00Z')
+      expect(parsed).to.be.a(Date)
+      expect(parsed.getTime()).to.be(Date.UTC(2020, 4, 1, 10))
+    })
+
+    it('should prefer custom serializers and parsers to types', () => {
+      expect(map.serialize('custom', 'abc')).to.be('<abc>')
+      expect(map.parse('custom', 'abc')).to.be(3)
+    })
+
+    it('should parse whole rows', () =>
+      expect(map.parseRow({ big: '1', num: '2.5', other: '3' }))
+        .to.eql({ big: 1n, num: 2.5, other: '3' }))
+  })
+
   describe('creating', function () {
     describe('should be successful', function () {
       specify('with no arguments', () =>
@@ -243,6 +461,14 @@ describe('Perseest.Config.ColumnMap', function () {
     })
   })
 
+  it('should get the columns having an attribute', () => {
+    const map = new Config.ColumnMap([
+      ['id', { serial: true }], ['a', { refresh: true }], 'b', ['c', { refresh: true }]
+    ])
+    expect(map.withAttribute('refresh')).to.eql(['a', 'c'])
+    expect(map.withAttribute('doh')).to.eql([])
+  })
+
   describe('adding columns', function () {
     let map
     beforeEach(() => map = new Config.ColumnMap())
@@ -267,6 +493,14 @@ describe('Perseest.Config.ColumnMap', function () {
       specify('with no arguments', () =>
         expect(() => map.set()).to.throwError())
 
+      specify('with an undefined type', () =>
+        expect(() => map.set('col', { type: 'doh' })).to.throwError())
+
+      specify('with a serializer or parser not being a function', () => {
+        expect(() => map.set('col', { serialize: 'abc' })).to.throwError()
+        expect(() => map.set('col', { parse: {} })).to.throwError()
+      })
+
       specify('with blank name', () =>
         expect(() => map.set('')).to.throwError())
 
@@ -25,7 +25,7 @@ describe('PerseestHooks', function () {
   beforeEach(() => hooks = new Hooks())
 
   it('should have empty hooks stacks when created', () => {
-    for (const t of ['before', 'after']) {
+    for (const t of Hooks.MOMENTS) {
       expect(hooks[t]).to.be.an(Array)
       expect(hooks[t]).to.be.empty()
     }
@@ -50,6 +50,25 @@ describe('PerseestHooks', function () {
         expect(hooks.after).to.have.length(1)
         expect(hooks.before).to.be.empty()
       })
+
+      specify('as an around-hook', () => {
+        hooks.add('around', () => {})
+        expect(hooks.around).to.have.length(1)
+        expect(hooks.before).to.be.empty()
+        expect(hooks.after).to.be.empty()
+      })
+
+      specify('as an error-hook', () => {
+        hooks.add('error', () => {})
+        expect(hooks.error).to.have.length(1)
+        expect(hooks.around).to.be.empty()
+      })
+
+      specify('not as an around-hook nor error-hook with no temporal trigger', () => {
+        hooks.add(() => {})
+        expect(hooks.around).to.be.empty()
+        expect(hooks.error).to.be.empty()
+      })
     })
 
     describe('should fail', function () {
@@ -73,12 +92,22 @@ describe('PerseestHooks', function () {
       const LIMIT = 8
       hooks.flush()
       for (const n of range(1, LIMIT)) { hooks.add(() => {}) }
+      hooks.add('around', () => {})
+      hooks.add('error', () => {})
     })
 
     it('should remove all hooks without temporal trigger', () => {
       hooks.flush()
-      expect(hooks.before).to.be.empty()
-      expect(hooks.after).to.be.empty()
+      for (const t of Hooks.MOMENTS) { expect(hooks[t]).to.be.empty() }
+    })
+
+    it('should remove around-hooks and error-hooks with their trigger', () => {
+      hooks.flush('around')
+      expect(hooks.around).to.be.empty()
+      expect(hooks.error).to.not.be.empty()
+      hooks.flush('error')
+      expect(hooks.error).to.be.empty()
+      expect(hooks.before).to.not.be.empty()
     })
 
     it('should remove related hooks with good temporal trigger', () => {
@@ -153,4 +182,102 @@ describe('PerseestHooks', function () {
       })
     })
   })
+
+  describe('wrapping', function () {
+    it('should run the function alone without around-hooks', async () => {
+      expect(await hooks.wrap({}, () => 'result')).to.be('result')
+    })
+
+    it('should nest around-hooks in order', async () => {
+      const trace = []
+      hooks.add('around', async (params, next) => {
+        trace.push('outer')
+        const ret = await next()
+        trace.push('/outer')
+        return ret + 1
+      })
+      hooks.add('around', async (params, next) => {
+        trace.push('inner')
+        return (await next()) * 2
+      })
+      const ret = await hooks.wrap({}, () => { trace.push('fn'); return 3 })
+      expect(ret).to.be(7)
+      expect(trace).to.eql(['outer', 'inner', 'fn', '/outer'])
+    })
+
+    it('should pass the parameters to around-hooks', async () => {
+      const params = { a: 1 }
+      const hook = sinon.fake((params, next) => next())
+      hooks.add('around', hook)
+      await hooks.wrap(params, () => {})
+      expect(hook.firstCall.args[0]).to.be(params)
+    })
+
+    it('should allow around-hooks to run the rest of the chain again', async () => {
+      const fn = sinon.stub()
+      fn.onFirstCall().rejects(new Error('Failing function'))
+      fn.onSecondCall().resolves('result')
+      hooks.add('around', (params, next) => next().catch(() => next()))
+      expect(await hooks.wrap({}, fn)).to.be('result')
+      expect(fn.callCount).to.be(2)
+    })
+
+    it('should allow around-hooks to skip the function', async () => {
+      const fn = sinon.fake()
+      hooks.add('around', () => 'cached')
+      expect(await hooks.wrap({}, fn)).to.be('cached')
+      expect(fn.called).to.be(false)
+    })
+
+    it('should fail with a failing around-hook', async () => {
+      hooks.add('around', sinon.fake.rejects('Failing hook'))
+      try { await hooks.wrap({}, () => {}) } catch (err) { return }
+      throw new Error('Wrapping should have thrown an error')
+    })
+  })
+
+  describe('recovering', function () {
+    const failure = new Error('Failing query')
+
+    it('should rethrow the error without error-hooks', async () => {
+      try { await hooks.recover({}, failure) } catch (err) {
+        return expect(err).to.be(failure)
+      }
+      throw new Error('Recovering should have thrown an error')
+    })
+
+    it('should pass the parameters and the error to error-hooks', async () => {
+      const params = { a: 1 }
+      const hook = sinon.fake()
+      hooks.add('error', hook)
+      await hooks.recover(params, failure).catch(() => {})
+      expect(hook.firstCall.args).to.eql([params, failure])
+    })
+
+    it('should return the value of the first recovering hook', async () => {
+      const last = sinon.fake()
+      hooks.add('error', () => {})
+      hooks.add('error', async () => 'recovered')
+      hooks.add('error', last)
+      expect(await hooks.recover({}, failure)).to.be('recovered')
+      expect(last.called).to.be(false)
+    })
+
+    it('should recover with falsy values other than undefined', async () => {
+      hooks.add('error', () => null)
+      expect(await hooks.recover({}, failure)).to.be(null)
+    })
+
+    it('should replace the error with the one thrown by a hook', async () => {
+      const replaced = new Error('Replaced')
+      const last = sinon.fake()
+      hooks.add('error', () => { throw replaced })
+      hooks.add('error', last)
+      try { await hooks.recover({}, failure) } catch (err) {
+        expect(err).to.be(replaced)
+        return expect(last.firstCall.args[1]).to.be(replaced)
+      }
+      throw new Error('Recovering should have thrown an error')
+    })
+  })
 })
@@ -6,6 +6,7 @@ const expect = require('expect.js')
 const sinon = require('sinon')
 const Query = require('../lib/PerseestQuery')
 const Params = require('../lib/QueryParameters')
+const errors = require('../lib/errors')
 const ConfigFactory = require('./help/factories').Config
 
 const negativeTestCases = [
@@ -123,9 +124,128 @@ describe('Perseest.Query', function () {
       expect(result).to.be.ok()
     })
 
+    it('should perform multiple statements in a transaction', async () => {
+      const client = {
+        query: sinon.fake.resolves({ rows: [{ a: 1 }], rowCount: 1 }),
+        release: sinon.fake()
+      }
+      conf.pool.connect = sinon.fake.resolves(client)
+      q.generate = () => [{ text: 'A' }, { text: 'B' }]
+      let result
+      q.hooks.add('after', ({ res }) => result = res)
+      await q.run(new Params({ conf }))
+      expect(client.query.args.map(a => a[0].text || a[0]))
+        .to.eql(['BEGIN', 'A', 'B', 'COMMIT'])
+      expect(result).to.eql({ rows: [{ a: 1 }, { a: 1 }], rowCount: 2 })
+      expect(conf.pool.query.callCount).to.be(0)
+    })
+
     it('should attempt to return transformed entities by default')
     it('should return the entities transformed with a custom function if given')
 
+    describe('with around-hooks', function () {
+      it('should wrap the execution between before-hooks and after-hooks', async () => {
+        const trace = []
+        q.hooks.add('before', () => trace.push('before'))
+        q.hooks.add('after', () => trace.push('after'))
+        q.hooks.add('around', async (params, next) => {
+          trace.push('around')
+          const ret = await next()
+          trace.push('/around')
+          return ret
+        })
+        q.generate = () => { trace.push('generate') }
+        await q.run(new Params({ conf }))
+        expect(trace).to.eql(['before', 'around', 'generate', '/around', 'after'])
+      })
+
+      it('should return the value given by the around-hooks', async () => {
+        let result
+        q.hooks.add('around', async (params, next) => {
+          await next()
+          return 'doh'
+        })
+        q.hooks.add('after', ({ ret }) => { result = ret })
+        expect(await q.run(new Params({ conf }))).to.be('doh')
+        expect(result).to.be('doh')
+      })
+
+      it('should allow retrying a failed execution', async () => {
+        conf.pool.query = sinon.stub()
+        conf.pool.query.onFirstCall().rejects(new Error('Failing query'))
+        conf.pool.query.onSecondCall().resolves({ rows: [] })
+        q.hooks.add('around', (params, next) => next().catch(() => next()))
+        await q.run(new Params({ conf }))
+        expect(conf.pool.query.callCount).to.be(2)
+      })
+
+      it('should not wrap the execution errors in HookError', async () => {
+        const mapped = new Error('Mapped')
+        conf.pgError2Error = sinon.fake.returns(mapped)
+        conf.pool.query = sinon.fake.rejects('Failing query')
+        q.hooks.add('around', (params, next) => next())
+        try { await q.run(new Params({ conf })) } catch (err) {
+          return expect(err).to.be(mapped)
+        }
+        throw new Error('Running query should have thrown an error')
+      })
+    })
+
+    describe('with error-hooks', function () {
+      const failure = new Error('Failing query')
+      beforeEach(() => { conf.pool.query = sinon.fake.rejects(failure) })
+
+      it('should pass the parameters and the error to the error-hooks', async () => {
+        const hook = sinon.fake()
+        const params = new Params({ conf })
+        q.hooks.add('error', hook)
+        await q.run(params).catch(() => {})
+        expect(hook.firstCall.args).to.eql([params, failure])
+        expect(params.error).to.be(failure)
+      })
+
+      it('should return the value the error was recovered with', async () => {
+        const params = new Params({ conf })
+        q.hooks.add('error', () => [])
+        expect(await q.run(params)).to.eql([])
+        expect(params.ret).to.eql([])
+      })
+
+      it('should throw the error replaced by an error-hook', async () => {
+        const replaced = new Error('Replaced')
+        q.hooks.add('error', () => { throw replaced })
+        try { await q.run(new Params({ conf })) } catch (err) {
+          return expect(err).to.be(replaced)
+        }
+        throw new Error('Running query should have thrown an error')
+      })
+
+      it('should rethrow the error if no error-hook recovers', async () => {
+        q.hooks.add('error', () => {})
+        try { await q.run(new Params({ conf })) } catch (err) {
+          return expect(err).to.be(failure)
+        }
+        throw new Error('Running query should have thrown an error')
+      })
+
+      it('should receive hook failures', async () => {
+        const hook = sinon.fake()
+        conf.pool.query = sinon.fake.resolves({ rows: [] })
+        q.hooks.add('before', sinon.fake.throws('Failing hook'))
+        q.hooks.add('error', hook)
+        await q.run(new Params({ conf })).catch(() => {})
+        expect(hook.firstCall.args[1]).to.be.an(errors.HookError)
+      })
+
+      it('should not run without errors', async () => {
+        const hook = sinon.fake()
+        conf.pool.query = sinon.fake.resolves({ rows: [] })
+        q.hooks.add('error', hook)
+        await q.run(new Params({ conf }))
+        expect(hook.called).to.be(false)
+      })
+    })
+
     describe('should throw an error', function () {
       specify('on hook failure', async () => {
         q.hooks.add('after', sinon.fake.throws('Failing hook'))
@@ -134,6 +254,33 @@ describe('Perseest.Query', function () {
           .catch(() => {})
       })
 
+      specify('wrapping around-hook failures in HookError', async () => {
+        q.hooks.add('around', sinon.fake.rejects('Failing hook'))
+        try { await q.run(new Params({ conf })) } catch (err) {
+          expect(err).to.be.an(errors.HookError)
+          return expect(err.when).to.be('around')
+        }
+        throw new Error('Running query should have thrown an error')
+      })
+
+      specify('wrapping hook failures in HookError', async () => {
+        q.hooks.add('before', sinon.fake.throws('Failing hook'))
+        await q.run(new Params({ conf }))
+          .then(() => { throw new Error('Running query should have thrown an error') })
+          .catch(err => expect(err).to.be.an(errors.HookError))
+      })
+
+      specify('mapped with the configuration error mapper', async () => {
+        const mapped = new Error('Mapped')
+        conf.pgError2Error = sinon.fake.returns(mapped)
+        conf.pool.query = sinon.fake.rejects('Failing query')
+        const params = new Params({ conf })
+        await q.run(params)
+          .then(() => { throw new Error('Running query should have thrown an error') })
+          .catch(err => expect(err).to.be(mapped))
+        expect(conf.pgError2Error.firstCall.args[1]).to.be(params)
+      })
+
       specify('on SQL query failure', async () => {
         conf.pool.query = sinon.fake.rejects('Failing query')
         await q.run(new Params({ conf }))
@@ -144,6 +291,71 @@ describe('Perseest.Query', function () {
 
     after(() => sinon.restore())
   })
+
+  describe('default aggregate', function () {
+    let conf, query
+    beforeEach(() => {
+      conf = ConfigFactory.create()
+      query = Query.default().get('aggregate')
+    })
+
+    const run = async (opt, res) => {
+      conf.pool = { query: sinon.fake.resolves(res) }
+      const ret = await query.run(new Params(Object.assign({ conf }, opt)))
+      return { ret, statement: conf.pool.query.firstCall.args[0] }
+    }
+
+    it('should select grouping columns and aggregates by position', async () => {
+      const { ret, statement } = await run({
+        aggregates: { count: '*', max: ['id', 'msg'] },
+        cond: { msg2: 'a' },
+        groupBy: 'msg'
+      }, {
+        rows: [['a', '3', 7, 'z'], ['b', '1', 2, 'y']],
+        fields: [{ dataTypeID: 1043 }, { dataTypeID: 20 }, { dataTypeID: 23 },
+          { dataTypeID: 1043 }]
+      })
+      expect(statement).to.eql({
+        text: 'SELECT "msg", count(*), max("id"), max("msg") FROM "Mockies" ' +
+          'WHERE "msg2" = $1 GROUP BY "msg" ORDER BY "msg"',
+        values: ['a'],
+        rowMode: 'array'
+      })
+      expect(ret).to.eql([
+        { msg: 'a', count: 3, max: { id: 7, msg: 'z' } },
+        { msg: 'b', count: 1, max: { id: 2, msg: 'y' } }
+      ])
+    })
+
+    it('should convert bigint and numeric results', async () => {
+      const { ret } = await run({ aggregates: { sum: 'id', avg: 'id', count: 'msg' } }, {
+        rows: [['123456789012345678901', '2.5', '0']],
+        fields: [{ dataTypeID: 1700 }, { dataTypeID: 1700 }, { dataTypeID: 20 }]
+      })
+      expect(ret).to.eql({ sum: 123456789012345678901n, avg: 2.5, count: 0 })
+    })
+
+    describe('should throw an error with', function () {
+      [['no aggregates', {}],
+        ['an array of aggregates', { aggregates: ['count'] }],
+        ['an unknown function', { aggregates: { median: 'id' } }],
+        ['a column not present', { aggregates: { sum: 'doh' } }],
+        ['\'*\' for functions other than count', { aggregates: { sum: '*' } }],
+        ['a grouping column not present', { aggregates: { count: '*' }, groupBy: 'doh' }]
+      ].forEach(([testCase, opt]) => specify(testCase, async () => {
+        await run(opt, { rows: [], fields: [] })
+          .then(() => { throw new Error('Running query should have thrown an error') })
+          .catch(err => expect(err.message).to.not.match(/should have thrown/))
+      }))
+
+      specify('a grouping column named as a function', async () => {
+        conf.columns.set('count')
+        await run({ aggregates: { count: '*' }, groupBy: 'count' }, { rows: [], fields: [] })
+          .then(() => { throw new Error('Running query should have thrown an error') })
+          .catch(err => expect(err.message).to.match(/same name/))
+      })
+    })
+  })
 })
 
 describe('Perseest.Query.Map', function () {
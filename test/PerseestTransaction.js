@@ -0,0 +1,229 @@
+// perseest - Test Unit for transactions
+// Uses mocha as the main testing framework and expect.js as the assert library
+// jcondor (Paolo Lucchesi)
+'use strict'
+const expect = require('expect.js')
+const sinon = require('sinon')
+const Transaction = require('../lib/PerseestTransaction')
+const Params = require('../lib/QueryParameters')
+const errors = require('../lib/errors')
+const { Mock } = require('./help/mock')
+
+describe('Perseest.Transaction', function () {
+  let mocky, mocky2
+  beforeEach(() => {
+    mocky = new Mock()
+    mocky2 = new Mock()
+  })
+  afterEach(() => sinon.restore())
+
+  it('should commit if the function succeeds', async () => {
+    const ret = await Mock.db.transaction(async () => {
+      await mocky.save()
+      await mocky2.save()
+      return 'done'
+    })
+    expect(ret).to.be('done')
+    expect(await Mock.fetch('id', mocky.id)).to.not.be(null)
+    expect(await Mock.fetch('id', mocky2.id)).to.not.be(null)
+  })
+
+  it('should roll back and rethrow if the function fails', async () => {
+    const failure = new Error('Failing transaction')
+    try {
+      await Mock.db.transaction(async () => {
+        await mocky.save()
+        await mocky2.save()
+        throw failure
+      })
+    } catch (err) {
+      expect(err).to.be(failure)
+      expect(await Mock.fetch('id', mocky.id)).to.be(null)
+      expect(await Mock.fetch('id', mocky2.id)).to.be(null)
+      return
+    }
+    throw new Error('Transaction should have thrown an error')
+  })
+
+  it('should route hook queries through the transaction', async () => {
+    Mock.db.addHook('after', 'save', ({ ent }) =>
+      ent === mocky ? mocky2.save() : null)
+    let fetched
+    try {
+      await Mock.db.transaction(async () => {
+        await mocky.save()
+        fetched = await Mock.fetch('id', mocky2.id)
+        throw new Error('Failing transaction')
+      }).catch(() => {})
+    } finally {
+      Mock.db.flushHooks(null, 'save')
+    }
+    expect(fetched).to.not.be(null) // Visible inside the transaction...
+    expect(await Mock.fetch('id', mocky2.id)).to.be(null) // ...but not outside
+  })
+
+  it('should give the transaction client to query parameters', async () => {
+    await Mock.db.transaction(async tx => {
+      expect(new Params({ conf: Mock.db }).client).to.be(tx.client)
+      expect(Transaction.current(Mock.db.pool)).to.be(tx)
+    })
+    expect(new Params({ conf: Mock.db }).client).to.not.be.ok()
+    expect(Transaction.current(Mock.db.pool)).to.be(null)
+  })
+
+  it('should not be reachable from other pools', async () => {
+    await Mock.db.transaction(async () => {
+      expect(Transaction.current({})).to.be(null)
+    })
+  })
+
+  it('should release the client in any case', async () => {
+    const release = sinon.spy()
+    const client = { query: sinon.fake.resolves({}), release }
+    const pool = { connect: sinon.fake.resolves(client) }
+    await Transaction.run(pool, () => {})
+    await Transaction.run(pool, () => { throw new Error() }).catch(() => {})
+    expect(release.callCount).to.be(2)
+    expect(client.query.args.map(a => a[0]))
+      .to.eql(['BEGIN', 'COMMIT', 'BEGIN', 'ROLLBACK'])
+  })
+
+  it('should not be usable once finished', async () => {
+    const tx = await Mock.db.transaction(async tx => tx)
+    expect(() => tx.query('SELECT 1')).to.throwError()
+  })
+
+  describe('when the database fails', function () {
+    before(async () => {
+      await Mock.db.pool.query(`CREATE OR REPLACE FUNCTION perseest_fail_serialization()
+        RETURNS TRIGGER AS $$ BEGIN
+          RAISE EXCEPTION 'could not serialize access' USING ERRCODE = '40001';
+        END $$ LANGUAGE plpgsql`)
+      await Mock.db.pool.query('DROP TABLE IF EXISTS "Doomed"')
+      await Mock.db.pool.query('CREATE TABLE "Doomed"(id INTEGER)')
+      // Deferred, so that the failure is raised on COMMIT
+      await Mock.db.pool.query(`CREATE CONSTRAINT TRIGGER doomed AFTER INSERT
+        ON "Doomed" DEFERRABLE INITIALLY DEFERRED FOR EACH ROW
+        EXECUTE PROCEDURE perseest_fail_serialization()`)
+    })
+    after(async () => {
+      await Mock.db.pool.query('DROP TABLE "Doomed"')
+      await Mock.db.pool.query('DROP FUNCTION perseest_fail_serialization()')
+    })
+
+    it('should map serialization failures raised on commit', async () => {
+      try {
+        await Mock.db.transaction(async tx => {
+          await mocky.save()
+          await tx.query('INSERT INTO "Doomed" VALUES (1)')
+        })
+      } catch (err) {
+        expect(err).to.be.an(errors.SerializationFailureError)
+        expect(err.code).to.be('40001')
+        expect(await Mock.fetch('id', mocky.id)).to.be(null)
+        return
+      }
+      throw new Error('Transaction should have thrown an error')
+    })
+
+    it('should map errors raised by direct queries', async () => {
+      await Mock.db.transaction(tx => tx.query('SELECT * FROM "Doh"'))
+        .then(() => { throw new Error('Transaction should have thrown an error') })
+        .catch(err => expect(err).to.be.an(errors.DatabaseError))
+    })
+
+    it('should map errors raised by savepoints and connections', async () => {
+      const mapped = new Error('Mapped')
+      const failure = Object.assign(new Error('Failure'), { code: 'ECONNREFUSED' })
+      const pool = { connect: sinon.fake.rejects(failure) }
+      await Transaction.run(pool, () => {}, () => mapped)
+        .then(() => { throw new Error('Transaction should have thrown an error') })
+        .catch(err => expect(err).to.be(mapped))
+
+      const client = {
+        query: sinon.fake(text => text.startsWith('SAVEPOINT')
+          ? Promise.reject(failure)
+          : Promise.resolve({})),
+        release: sinon.fake()
+      }
+      pool.connect = sinon.fake.resolves(client)
+      await Transaction.run(pool, () => Transaction.run(pool, () => {}), () => mapped)
+        .then(() => { throw new Error('Transaction should have thrown an error') })
+        .catch(err => expect(err).to.be(mapped))
+    })
+  })
+
+  describe('when nested', function () {
+    it('should roll back to the savepoint only on failure', async () => {
+      const mocky3 = new Mock()
+      await Mock.db.transaction(async () => {
+        await mocky.save()
+        await Mock.db.transaction(async tx => {
+          expect(tx.savepoint).to.be.ok()
+          await mocky2.save()
+          throw new Error('Failing nested transaction')
+        }).catch(() => {})
+        await mocky3.save()
+      })
+      expect(await Mock.fetch('id', mocky.id)).to.not.be(null)
+      expect(await Mock.fetch('id', mocky2.id)).to.be(null)
+      expect(await Mock.fetch('id', mocky3.id)).to.not.be(null)
+    })
+
+    it('should be committed along with the enclosing transaction', async () => {
+      await Mock.db.transaction(async outer => {
+        await Mock.db.transaction(async inner => {
+          expect(inner.client).to.be(outer.client)
+          expect(inner.parent).to.be(outer)
+          await Mock.db.transaction(() => mocky.save())
+        })
+        await mocky2.save()
+      })
+      expect(await Mock.fetch('id', mocky.id)).to.not.be(null)
+      expect(await Mock.fetch('id', mocky2.id)).to.not.be(null)
+    })
+
+    it('should be rolled back along with the enclosing transaction', async () => {
+      await Mock.db.transaction(async () => {
+        await Mock.db.transaction(() => mocky.save())
+        throw new Error('Failing outer transaction')
+      }).catch(() => {})
+      expect(await Mock.fetch('id', mocky.id)).to.be(null)
+    })
+
+    it('should restore the enclosing transaction when finished', async () => {
+      await Mock.db.transaction(async outer => {
+        await Mock.db.transaction(async inner =>
+          expect(Transaction.current(Mock.db.pool)).to.be(inner))
+        expect(Transaction.current(Mock.db.pool)).to.be(outer)
+        expect(new Params({ conf: Mock.db }).client).to.be(outer.client)
+      })
+    })
+
+    it('should use distinct savepoint names', async () => {
+      const names = []
+      await Mock.db.transaction(async () => {
+        await Mock.db.transaction(async tx => {
+          names.push(tx.savepoint)
+          await Mock.db.transaction(async tx => names.push(tx.savepoint))
+        })
+        await Mock.db.transaction(async tx => names.push(tx.savepoint))
+      })
+      expect(new Set(names).size).to.be(3)
+    })
+  })
+
+  describe('should throw an error', function () {
+    specify('without a pool', done => {
+      Transaction.run(undefined, () => {})
+        .then(() => done(new Error('Transaction should have thrown an error')))
+        .catch(() => done())
+    })
+
+    specify('with a body not being a function', done => {
+      Mock.db.transaction('BEGIN')
+        .then(() => done(new Error('Transaction should have thrown an error')))
+        .catch(() => done())
+    })
+  })
+})
@@ -0,0 +1,136 @@
+// perseest - Test Unit for query conditions
+// Uses mocha as the main testing framework and expect.js as the assert library
+// jcondor (Paolo Lucchesi)
+'use strict'
+const expect = require('expect.js')
+const Condition = require('../lib/QueryCondition')
+const ConfigFactory = require('./help/factories').Config
+
+describe('Perseest.Condition', function () {
+  let columns
+  beforeEach(() => columns = ConfigFactory.create().columns)
+
+  const compile = (cond, offset) => new Condition(cond, columns).compile(offset)
+
+  describe('when empty', function () {
+    [['undefined', undefined], ['null', null], ['an empty object', {}],
+      ['an empty $and', { $and: [] }]
+    ].forEach(([testCase, cond]) =>
+      specify(`should compile to an empty string if ${testCase}`, () => {
+        expect(new Condition(cond, columns).isEmpty()).to.be(true)
+        expect(compile(cond)).to.eql({ text: '', values: [] })
+      }))
+  })
+
+  describe('when matching every row', function () {
+    [['an empty condition', {}],
+      ['a negated empty $or', { $not: { $or: [] } }],
+      ['an empty $nin', { id: { $nin: [] } }],
+      ['an $or with an always true branch', { $or: [{ id: 1 }, { $and: [] }] }],
+      ['an $and of always true conditions', { $and: [{}, { msg: { $nin: [] } }] }],
+      ['a negated contradiction', { $not: { $and: [{ id: 1 }, { id: { $in: [] } }] } }]
+    ].forEach(([testCase, cond]) =>
+      specify(`should be detected with ${testCase}`, () =>
+        expect(new Condition(cond, columns).matchesAll()).to.be(true)))
+  })
+
+  describe('when not matching every row', function () {
+    [['a comparison', { id: 1 }],
+      ['an empty $or', { $or: [] }],
+      ['an $and with a comparison', { $and: [{}, { id: 1 }] }],
+      ['a negated comparison', { $not: { id: { $nin: [1] } } }]
+    ].forEach(([testCase, cond]) =>
+      specify(`should not be detected with ${testCase}`, () =>
+        expect(new Condition(cond, columns).matchesAll()).to.be(false)))
+  })
+
+  describe('when compiled', function () {
+    it('should join column equalities with AND', () =>
+      expect(compile({ msg: 'a', msg2: 'b' })).to.eql({
+        text: '"msg" = $1 AND "msg2" = $2',
+        values: ['a', 'b']
+      }))
+
+    it('should translate null values to IS NULL', () =>
+      expect(compile({ msg: null, msg2: { $ne: null } }).text)
+        .to.be('"msg" IS NULL AND "msg2" IS NOT NULL'))
+
+    it('should support comparison operators', () =>
+      expect(compile({ id: { $gt: 1, $lte: 5 }, msg: { $ne: 'x' } })).to.eql({
+        text: '"id" > $1 AND "id" <= $2 AND "msg" <> $3',
+        values: [1, 5, 'x']
+      }))
+
+    it('should support $in and $nin', () => {
+      expect(compile({ id: { $in: [1, 2, 3] } })).to.eql({
+        text: '"id" IN ($1, $2, $3)',
+        values: [1, 2, 3]
+      })
+      expect(compile({ id: { $nin: [4] } }).text).to.be('"id" NOT IN ($1)')
+    })
+
+    it('should compile empty $in and $nin to constants', () => {
+      expect(compile({ id: { $in: [] } })).to.eql({ text: 'FALSE', values: [] })
+      expect(compile({ id: { $nin: [] } })).to.eql({ text: 'TRUE', values: [] })
+    })
+
+    it('should support $like, $ilike and $null', () =>
+      expect(compile({
+        msg: { $like: 'a%' },
+        msg2: { $ilike: '%B' },
+        uniq: { $null: false }
+      }).text).to.be('"msg" LIKE $1 AND "msg2" ILIKE $2 AND "uniq" IS NOT NULL'))
+
+    it('should support nested $and, $or and $not', () =>
+      expect(compile({
+        msg: 'a',
+        $or: [{ id: 1 }, { id: 2, msg2: 'b' }],
+        $not: { uniq: { $in: ['c', 'd'] } }
+      })).to.eql({
+        text: '"msg" = $1 AND ("id" = $2 OR ("id" = $3 AND "msg2" = $4)) AND ' +
+          'NOT ("uniq" IN ($5, $6))',
+        values: ['a', 1, 2, 'b', 'c', 'd']
+      }))
+
+    it('should compile an empty $or to FALSE', () =>
+      expect(compile({ $or: [] }).text).to.be('FALSE'))
+
+    it('should number placeholders starting from the given offset', () =>
+      expect(compile({ msg: 'a', id: { $in: [1, 2] } }, 3).text)
+        .to.be('"msg" = $4 AND "id" IN ($5, $6)'))
+
+    it('should treat Date instances as values', () => {
+      const now = new Date()
+      expect(compile({ msg: now }).values[0]).to.be(now)
+    })
+  })
+
+  describe('should throw an error when created with', function () {
+    specify('a column not present in the column map', () =>
+      expect(() => new Condition({ doh: 1 }, columns)).to.throwError())
+
+    specify('a nested column not present in the column map', () =>
+      expect(() => new Condition({ $or: [{ msg: 1 }, { doh: 2 }] }, columns))
+        .to.throwError())
+
+    specify('an unknown operator', () =>
+      expect(() => new Condition({ msg: { $regex: 'a' } }, columns))
+        .to.throwError())
+
+    specify('an unknown logical operator', () =>
+      expect(() => new Condition({ $xor: [] }, columns)).to.throwError())
+
+    specify('a non-array operand for $in', () =>
+      expect(() => new Condition({ id: { $in: 1 } }, columns)).to.throwError())
+
+    specify('a non-array operand for $or', () =>
+      expect(() => new Condition({ $or: { id: 1 } }, columns)).to.throwError())
+
+    specify('a non-string operand for $like', () =>
+      expect(() => new Condition({ msg: { $like: 1 } }, columns))
+        .to.throwError())
+
+    specify('a non-object condition', () =>
+      expect(() => new Condition('id = 1', columns)).to.throwError())
+  })
+})
@@ -5,6 +5,7 @@
 const expect = require('expect.js')
 const Params = require('../lib/QueryParameters')
 const { Mock } = require('./help/mock')
+const ConfigFactory = require('./help/factories').Config
 
 describe('Query hook parameters', function () {
   let mocky
@@ -27,6 +28,12 @@ describe('Query hook parameters', function () {
       expect((new Set(params.columns)).equals(new Set(Mock.db.columns.keys())))
         .to.be(true)
     })
+
+    it('should return none if they are not given and there is no entity', () => {
+      const params = new Params({ conf: Mock.db, cond: { msg: { $ne: 'a' } } })
+      expect(params.columns).to.eql([])
+      expect(params.values).to.eql([])
+    })
   })
 
   describe('getting column values', function () {
@@ -45,6 +52,15 @@ describe('Query hook parameters', function () {
         .to.be(true)
     })
 
+    it('should serialize the entity values according to column types', () => {
+      const conf = ConfigFactory.create({
+        columns: [['id', { type: 'bigint' }], ['msg', { type: 'json' }]]
+      })
+      const params = new Params({ conf, ent: { id: 1n, msg: { a: 1 } } })
+      expect(params.columns).to.eql(['id', 'msg'])
+      expect(params.values).to.eql(['1', '{"a":1}'])
+    })
+
     it('should return given ones if both columns and values are given', () => {
       const [cols, vals] = [['a', 'b', 'c'], [1, 2, 3]]
       const params = new Params({ conf: Mock.db, ent: mocky, columns: cols, values: vals })
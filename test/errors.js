@@ -0,0 +1,74 @@
+// perseest - Test Unit for error classes
+// Uses mocha as the main testing framework and expect.js as the assert library
+// jcondor (Paolo Lucchesi)
+'use strict'
+const expect = require('expect.js')
+const errors = require('../lib/errors')
+
+/** Build an error shaped like the ones raised by node-postgres */
+function pgError (code, fields = {}) {
+  return Object.assign(new Error(`Error ${code}`), { code }, fields)
+}
+
+describe('Perseest.errors', function () {
+  describe('mapping database errors', function () {
+    [['23505', 'UniqueViolationError'],
+      ['23503', 'ForeignKeyViolationError'],
+      ['23502', 'NotNullViolationError'],
+      ['23514', 'CheckViolationError'],
+      ['40001', 'SerializationFailureError'],
+      ['08006', 'ConnectionError'],
+      ['57P01', 'ConnectionError'],
+      ['ECONNREFUSED', 'ConnectionError'],
+      ['42P01', 'DatabaseError']
+    ].forEach(([code, name]) =>
+      specify(`should map ${code} to ${name}`, () => {
+        const err = errors.fromPgError(pgError(code))
+        expect(err).to.be.an(errors[name])
+        expect(err).to.be.an(errors.DatabaseError)
+        expect(err.name).to.be(name)
+        expect(err.code).to.be(code)
+      }))
+
+    it('should carry the query context and the constraint details', () => {
+      class Entity {}
+      const cause = pgError('23502', {
+        table: 'Mockies', column: 'uniq', constraint: 'some_constraint'
+      })
+      const err = errors.fromPgError(cause, { query: 'save', entityClass: Entity })
+      expect(err.cause).to.be(cause)
+      expect(err.message).to.be(cause.message)
+      expect(err.query).to.be('save')
+      expect(err.entityClass).to.be(Entity)
+      expect(err.table).to.be('Mockies')
+      expect(err.column).to.be('uniq')
+      expect(err.constraint).to.be('some_constraint')
+    })
+
+    it('should accept a query instance as query', () =>
+      expect(errors.fromPgError(pgError('23505'), { query: { name: 'fetch' } }).query)
+        .to.be('fetch'))
+
+    it('should take the column from the error details if not given', () =>
+      expect(errors.fromPgError(pgError('23505', {
+        detail: 'Key (uniq)=(abc) already exists.'
+      })).column).to.be('uniq'))
+
+    it('should leave other errors untouched', () => {
+      for (const err of [new TypeError('doh'), pgError('EPERM'),
+        new errors.StaleEntityError('update', {}, 1)]) { expect(errors.fromPgError(err)).to.be(err) }
+    })
+  })
+
+  describe('hook errors', function () {
+    it('should wrap the original error', () => {
+      const cause = new Error('Failing hook')
+      const err = new errors.HookError('save', 'before', cause)
+      expect(err).to.be.an(errors.PerseestError)
+      expect(err.cause).to.be(cause)
+      expect(err.query).to.be('save')
+      expect(err.when).to.be('before')
+      expect(err.message).to.contain('Failing hook')
+    })
+  })
+})
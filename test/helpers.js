@@ -41,6 +41,103 @@ describe('Helper function', function () {
     })
   })
 
+  describe('chunk', function () {
+    it('should split an array in chunks of the given size', () => {
+      expect(help.chunk([1, 2, 3, 4, 5], 2)).to.eql([[1, 2], [3, 4], [5]])
+      expect(help.chunk([1, 2], 2)).to.eql([[1, 2]])
+      expect(help.chunk([], 3)).to.eql([])
+    })
+
+    it('should throw an error with a non-positive size', () => {
+      expect(() => help.chunk([1], 0)).to.throwError()
+      expect(() => help.chunk([1], 1.5)).to.throwError()
+    })
+  })
+
+  describe('quoteIdentifier', function () {
+    [['a lowercase name', 'users', '"users"'],
+      ['a mixed-case name', 'UserAccount', '"UserAccount"'],
+      ['a qualified name', 'app.UserAccount', '"app"."UserAccount"'],
+      ['a name with spaces', 'user account', '"user account"'],
+      ['an already quoted name', '"UserAccount"', '"UserAccount"'],
+      ['a partially quoted name', '"my.schema".users', '"my.schema"."users"'],
+      ['a quoted name with escaped quotes', '"we""ird"', '"we""ird"']
+    ].forEach(([testCase, name, expected]) =>
+      specify(`should quote ${testCase}`, () =>
+        expect(help.quoteIdentifier(name)).to.be(expected)))
+
+    describe('should throw an error with', function () {
+      [['a blank name', ''],
+        ['a non-string name', 123],
+        ['a blank part', 'app..users'],
+        ['a leading dot', '.users'],
+        ['a trailing dot', 'users.'],
+        ['an unbalanced quote', '"users'],
+        ['a stray quote', 'us"ers'],
+        ['an injection attempt', 'users; DROP TABLE users; --"']
+      ].forEach(([testCase, name]) =>
+        specify(testCase, () =>
+          expect(() => help.quoteIdentifier(name)).to.throwError()))
+    })
+  })
+
+  describe('normalizeOrder', function () {
+    const columns = new Map([['a', {}], ['b', {}]])
+
+    it('should return an empty array if no ordering is given', () => {
+      expect(help.normalizeOrder(undefined, columns)).to.eql([])
+      expect(help.normalizeOrder([], columns)).to.eql([])
+    })
+
+    it('should accept a single column name', () =>
+      expect(help.normalizeOrder('a', columns)).to.eql([['a', 'ASC']]))
+
+    it('should accept mixed column names and [column, direction] pairs', () =>
+      expect(help.normalizeOrder([['a', 'desc'], 'b'], columns))
+        .to.eql([['a', 'DESC'], ['b', 'ASC']]))
+
+    describe('should throw an error', function () {
+      specify('with columns not present', () =>
+        expect(() => help.normalizeOrder(['a', 'c'], columns)).to.throwError())
+
+      specify('with invalid directions', () =>
+        expect(() => help.normalizeOrder([['a', 'sideways']], columns))
+          .to.throwError())
+
+      specify('with a non-array ordering', () =>
+        expect(() => help.normalizeOrder({ a: 'asc' }, columns))
+          .to.throwError())
+    })
+  })
+
+  describe('cursors', function () {
+    it('should be decoded in the encoded values', () => {
+      const values = [['a', 1], ['b', 'abc'], ['c', null]]
+      const cursor = help.encodeCursor(values)
+      expect(cursor).to.be.a('string')
+      expect(help.decodeCursor(cursor)).to.eql(values)
+    })
+
+    it('should preserve dates', () => {
+      const date = new Date()
+      const [decoded] = help.decodeCursor(help.encodeCursor([date]))
+      expect(decoded).to.be.a(Date)
+      expect(decoded.getTime()).to.be(date.getTime())
+    })
+
+    it('should preserve BigInt values', () => {
+      const [decoded] = help.decodeCursor(help.encodeCursor([2n ** 64n]))
+      expect(decoded).to.be(2n ** 64n)
+    })
+
+    it('should throw an error when decoding an invalid cursor', () => {
+      expect(() => help.decodeCursor('abc')).to.throwError()
+      expect(() => help.decodeCursor(123)).to.throwError()
+      expect(() => help.decodeCursor(Buffer.from('{"a":1}').toString('base64')))
+        .to.throwError()
+    })
+  })
+
   describe('isIterable', function () {
     [['an object', { a: 1, b: 2 }, false],
       ['undefined', undefined, false],
@@ -55,6 +152,28 @@ describe('Helper function', function () {
         expect(help.isIterable(value)).to.be(expected)))
   })
 
+  describe('isPlainObject', function () {
+    [['an object', { a: 1 }, true],
+      ['an object with no prototype', Object.create(null), true],
+      ['null', null, false],
+      ['an array', [1, 2], false],
+      ['a Date', new Date(), false],
+      ['a string', 'abc', false]
+    ].forEach(([testCase, value, expected]) =>
+      specify(`should return ${expected} when its argument is ${testCase}`, () =>
+        expect(help.isPlainObject(value)).to.be(expected)))
+  })
+
+  describe('isOperatorObject', function () {
+    [['an object of operators', { $gt: 1, $lt: 5 }, true],
+      ['an empty object', {}, false],
+      ['an object mixing operators and keys', { $gt: 1, a: 2 }, false],
+      ['an array', ['$gt'], false]
+    ].forEach(([testCase, value, expected]) =>
+      specify(`should return ${expected} when its argument is ${testCase}`, () =>
+        expect(help.isOperatorObject(value)).to.be(expected)))
+  })
+
   describe('Set.union', function () {
     let s
     beforeEach(() => s = new Set(['a', 'b', 'c']))